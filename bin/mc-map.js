@@ -0,0 +1,715 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { generateMap, processImage } from '../src/screenshot.js';
+import { parseMapRequest } from '../src/mapRequest.js';
+import { getMapProvider } from '../src/mapProviders.js';
+import { encodeOutputs, getFileExtension } from '../src/imageOutputs.js';
+import { closeBrowserPool } from '../src/browserPool.js';
+import { generateJobId, formatFileSize, setLogWriter, logInfo } from '../src/utils.js';
+
+// Exit codes scripts can branch on
+const EXIT_CODES = {
+  SUCCESS: 0,
+  // Generation failed, or a batch where no map could be generated
+  FAILED: 1,
+  // Bad arguments, unreadable input or an invalid map request
+  USAGE: 2,
+  // Some batch items failed
+  PARTIAL: 3,
+  INTERRUPTED: 130
+};
+
+const USAGE = `Usage: mc-map <command> [options]
+
+Commands:
+  generate            Generate one map
+  batch <file>        Generate a map for every seed in a JSON or CSV file
+  process <file>      Crop a raw screenshot (kept with --debug) into a map
+
+Map options:
+  --seed <seed>           World seed, numeric or text
+  --dimension <name>      overworld, nether or end (default: overworld)
+  --size <k>              World size in thousands of blocks, 2-64 (default: 8)
+  --edition <name>        java or bedrock (default: java)
+  --version <version>     Game version (default: latest supported)
+  --markers <list>        Comma-separated structure markers, empty for none
+  --center-x <x>          Map center X coordinate
+  --center-z <z>          Map center Z coordinate
+  --bounds <box>          minX,minZ,maxX,maxZ instead of a size and center
+  --zoom <level>          Map zoom, -3 to 0 (default: -3)
+  --tiled                 Force tiled capture
+  --provider <name>       Map source: mcseedmap or fixture (default: MAP_PROVIDER or mcseedmap)
+  --formats <list>        Comma-separated output formats: png, webp, jpeg, avif
+  --quality <1-100>       Quality for lossy formats (default: 80)
+  --thumbnail <px>        Also write a WebP thumbnail with this longest side
+  --overlay               Draw the coordinate grid, labels, scale bar and origin
+  --caption <text>        Caption in the bottom right corner (implies --overlay)
+  --debug                 Also write the raw screenshot, and maps rejected by validation
+
+Output options:
+  --out <file>            Output file for generate and process
+  --out-dir <dir>         Output directory for batch (default: current directory)
+  --json                  Print logs and results as JSON
+  --verbose               Print every log entry, not just progress
+  --quiet                 Only print errors and results
+  -h, --help              Show this help
+
+Exit codes:
+  0  success
+  1  generation failed
+  2  invalid arguments or map request
+  3  some batch items failed
+  130  interrupted with Ctrl-C
+`;
+
+const OPTIONS = {
+  seed: { type: 'string' },
+  dimension: { type: 'string' },
+  size: { type: 'string' },
+  edition: { type: 'string' },
+  version: { type: 'string' },
+  markers: { type: 'string' },
+  'center-x': { type: 'string' },
+  'center-z': { type: 'string' },
+  bounds: { type: 'string' },
+  zoom: { type: 'string' },
+  tiled: { type: 'boolean' },
+  provider: { type: 'string' },
+  formats: { type: 'string' },
+  quality: { type: 'string' },
+  thumbnail: { type: 'string' },
+  overlay: { type: 'boolean' },
+  caption: { type: 'string' },
+  debug: { type: 'boolean' },
+  out: { type: 'string' },
+  'out-dir': { type: 'string' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  quiet: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Batch file columns that hold numbers or booleans rather than text
+const NUMBER_FIELDS = ['size', 'centerX', 'centerZ', 'zoom', 'quality', 'thumbnail'];
+const BOOLEAN_FIELDS = ['tiled', 'overlay', 'debug'];
+const LIST_FIELDS = ['markers', 'formats'];
+
+// Aborted by Ctrl-C so the current map stops cleanly and removes its partial files
+const interrupt = new AbortController();
+
+const LEVEL_COLORS = {
+  info: '\x1b[36m',
+  warn: '\x1b[33m',
+  error: '\x1b[31m'
+};
+
+/**
+ * Error for bad command line input, reported with the usage exit code
+ * @param {string} message - What was wrong
+ * @returns {Error} Error flagged as a usage error
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+/**
+ * Turn a numeric option into a number, leaving validation to parseMapRequest
+ * @param {string|undefined} value - Option value
+ * @returns {number|undefined} Parsed number, NaN for non-numbers
+ */
+function toNumber(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+/**
+ * Split a comma-separated option into a list
+ * @param {string|undefined} value - Option value
+ * @returns {Array<string>|undefined} Trimmed entries, empty for an empty value
+ */
+function toList(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Build map request parameters from command line options.
+ * Options that weren't given are left out so request defaults apply.
+ * @param {Object} values - Parsed options
+ * @returns {Object} Parameters for parseMapRequest
+ */
+function toRequestParams(values) {
+  let bounds;
+  if (values.bounds !== undefined) {
+    const [minX, minZ, maxX, maxZ] = values.bounds.split(',').map(Number);
+    bounds = { minX, minZ, maxX, maxZ };
+  }
+
+  let overlay = values.overlay;
+  if (values.caption !== undefined) {
+    overlay = { caption: values.caption };
+  }
+
+  const params = {
+    seed: values.seed,
+    dimension: values.dimension,
+    size: toNumber(values.size),
+    edition: values.edition,
+    version: values.version,
+    markers: toList(values.markers),
+    centerX: toNumber(values['center-x']),
+    centerZ: toNumber(values['center-z']),
+    bounds,
+    zoom: toNumber(values.zoom),
+    tiled: values.tiled,
+    provider: values.provider,
+    formats: toList(values.formats),
+    quality: toNumber(values.quality),
+    thumbnail: toNumber(values.thumbnail),
+    overlay,
+    debug: values.debug
+  };
+
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Create the printer for logs and results
+ * @param {Object} values - Parsed options
+ * @returns {Object} Printer with log, progress and result functions
+ */
+function createPrinter(values) {
+  const color = process.stderr.isTTY && !process.env.NO_COLOR;
+  const paint = (code, text) => (color ? `${code}${text}\x1b[0m` : text);
+
+  if (values.json) {
+    // Logs keep the service's JSON format on stderr; results go to stdout
+    return {
+      log: entry => {
+        if (!values.quiet || entry.level === 'error') {
+          process.stderr.write(JSON.stringify(entry) + '\n');
+        }
+      },
+      progress: (label, progress) => {
+        if (!values.quiet) {
+          logInfo('Progress', { map: label, step: progress.step, percent: progress.percent, status: progress.message });
+        }
+      },
+      result: data => process.stdout.write(JSON.stringify(data) + '\n')
+    };
+  }
+
+  return {
+    log: entry => {
+      if (!values.verbose && entry.level === 'info') {
+        return;
+      }
+      if (values.quiet && entry.level !== 'error') {
+        return;
+      }
+      const { timestamp, level, service, message, jobId, ...metadata } = entry;
+      const details = Object.entries(metadata)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+      const time = timestamp.slice(11, 19);
+      process.stderr.write(`${time} ${paint(LEVEL_COLORS[level], level.padEnd(5))} ${message}${details ? ' ' + paint('\x1b[2m', details) : ''}\n`);
+    },
+    progress: (label, progress) => {
+      if (!values.quiet) {
+        process.stderr.write(`${paint('\x1b[2m', `[${String(progress.percent).padStart(3)}%]`)} ${label}: ${progress.message}\n`);
+      }
+    },
+    // Failures go to stderr so stdout only ever carries finished maps
+    result: (data, text) => (data.success ? process.stdout : process.stderr).write(text + '\n')
+  };
+}
+
+/**
+ * Work out where each output of a map is written
+ * @param {Array<Object>} outputs - Outputs with a format and generated filename
+ * @param {Object} destination - { out } for a fixed file, or { outDir } to keep generated filenames
+ * @returns {Array<string>} Output paths in the same order
+ */
+function resolveOutputPaths(outputs, { out, outDir }) {
+  if (!out) {
+    return outputs.map(output => path.resolve(outDir || '.', output.filename));
+  }
+
+  // The main image goes to --out; the rest sit next to it under the same name
+  const parsed = path.parse(path.resolve(out));
+  const base = path.join(parsed.dir, parsed.name);
+  return outputs.map((output, index) => {
+    if (output.role === 'thumbnail') {
+      return `${base}-thumb.${getFileExtension(output.format)}`;
+    }
+    // A rejected map has no main image, so it never takes --out itself
+    if (output.role === 'original' || output.role === 'rejected') {
+      return `${base}-${output.role}.png`;
+    }
+    if (index === 0) {
+      return path.resolve(out);
+    }
+    return `${base}.${getFileExtension(output.format)}`;
+  });
+}
+
+/**
+ * Create an image store for generateMap that keeps a map's files in memory
+ * until they are written to their destination, so the CLI never writes to
+ * the service's image storage
+ * @returns {Object} Image store, with the saved buffers by filename in `files`
+ */
+function createMemoryStore() {
+  const files = new Map();
+  return {
+    files,
+    saveImage: async (buffer, filename) => {
+      files.set(filename, buffer);
+      return filename;
+    },
+    getImageUrl: async filename => filename,
+    imageExists: async filename => files.has(filename),
+    deleteImage: async filename => files.delete(filename)
+  };
+}
+
+/**
+ * Write a generated map's files to their destination
+ * @param {Object} result - generateMap result, successful or rejected by validation
+ * @param {Object} store - Memory store the map was generated into
+ * @param {Object} destination - Where to write (see resolveOutputPaths)
+ * @returns {Promise<Array<Object>>} Written files ({ format, path, bytes, width, height })
+ */
+async function writeGeneratedFiles(result, store, destination) {
+  const outputs = [
+    ...(result.outputs || []),
+    ...(result.thumbnail ? [{ ...result.thumbnail, role: 'thumbnail' }] : []),
+    ...(result.originalFilename ? [{ format: 'png', filename: result.originalFilename, role: 'original' }] : []),
+    ...(result.rejectedFilename ? [{ format: 'png', filename: result.rejectedFilename, role: 'rejected' }] : [])
+  ];
+  const paths = resolveOutputPaths(outputs, destination);
+
+  const files = [];
+  for (const [index, output] of outputs.entries()) {
+    await fs.mkdir(path.dirname(paths[index]), { recursive: true });
+    await fs.writeFile(paths[index], store.files.get(output.filename));
+    files.push({
+      format: output.format,
+      path: paths[index],
+      ...(output.role && { role: output.role }),
+      ...(output.bytes !== undefined && { bytes: output.bytes, width: output.width, height: output.height })
+    });
+  }
+  return files;
+}
+
+/**
+ * Describe written files for the terminal
+ * @param {Array<Object>} files - Written files
+ * @returns {string} One line per file
+ */
+function describeFiles(files) {
+  return files
+    .map(file => {
+      const details = file.bytes !== undefined ? ` (${file.width}x${file.height}, ${formatFileSize(file.bytes)})` : '';
+      return `  ${path.relative('.', file.path) || file.path}${details}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Validate map request parameters, throwing a usage error when invalid
+ * @param {Object} params - Map request parameters
+ * @param {string} label - Prefix for the error message
+ * @returns {Object} Normalized request
+ */
+function parseOrThrow(params, label = '') {
+  const { error, request } = parseMapRequest(params);
+  if (error) {
+    const usage = usageError(`${label}${error.message}`);
+    usage.code = error.error;
+    throw usage;
+  }
+  return request;
+}
+
+/**
+ * Generate one map and write its files to their destination
+ * @param {Object} request - Normalized request from parseMapRequest
+ * @param {Object} destination - Where to write (see resolveOutputPaths)
+ * @param {Object} printer - Printer from createPrinter
+ * @param {string} label - Name of the map in progress output
+ * @returns {Promise<Object>} generateMap result, with the written files on success
+ */
+async function runGeneration(request, destination, printer, label) {
+  const jobId = generateJobId(request.seed, request.dimension);
+  const store = createMemoryStore();
+
+  const result = await generateMap(request.seed, request.dimension, jobId, request.size, request.debug, {
+    version: request.version,
+    edition: request.edition,
+    markers: request.markers,
+    area: request.area,
+    zoom: request.zoom,
+    tiled: request.tiled,
+    provider: request.provider,
+    seedInput: request.seedInput,
+    formats: request.formats,
+    quality: request.quality,
+    thumbnail: request.thumbnailSize,
+    overlay: request.overlay,
+    cacheKey: request.cacheKey,
+    signal: interrupt.signal,
+    store,
+    onProgress: progress => printer.progress(label, progress)
+  });
+
+  // With --debug, a map rejected by validation is still written for inspection
+  if (!result.success && !result.rejectedFilename) {
+    return result;
+  }
+  return { ...result, files: await writeGeneratedFiles(result, store, destination) };
+}
+
+/**
+ * Run the generate command
+ * @param {Object} values - Parsed options
+ * @param {Object} printer - Printer from createPrinter
+ * @returns {Promise<number>} Exit code
+ */
+async function generateCommand(values, printer) {
+  if (values.seed === undefined) {
+    throw usageError('generate needs --seed');
+  }
+  const request = parseOrThrow(toRequestParams(values));
+  const result = await runGeneration(request, { out: values.out }, printer, `seed ${request.seedInput}`);
+
+  if (!result.success) {
+    printer.result(
+      { success: false, error: result.error, message: result.message, ...(result.files && { files: result.files }) },
+      result.files ? `${result.message}\n${describeFiles(result.files)}` : result.message
+    );
+    return result.status === 'cancelled' ? EXIT_CODES.INTERRUPTED : EXIT_CODES.FAILED;
+  }
+
+  printer.result(
+    { success: true, files: result.files, metadata: result.metadata },
+    `Generated ${result.metadata.dimensions} ${request.dimension} map for seed ${request.seedInput}\n${describeFiles(result.files)}`
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Split one CSV line into fields, allowing quoted fields with commas and "" escapes
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Read batch items from CSV. The header row names request fields; lists
+ * such as markers are separated with semicolons inside their cell.
+ * @param {string} contents - File contents
+ * @returns {Array<Object>} Batch items
+ */
+function parseCsvItems(contents) {
+  const lines = contents.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0]);
+  if (!header.includes('seed')) {
+    throw usageError('CSV batch files need a header row with a "seed" column');
+  }
+
+  return lines.slice(1).map(line => {
+    const item = {};
+    parseCsvLine(line).forEach((value, index) => {
+      const field = header[index];
+      if (!field || value === '') return;
+
+      if (NUMBER_FIELDS.includes(field)) {
+        item[field] = Number(value);
+      } else if (BOOLEAN_FIELDS.includes(field)) {
+        item[field] = value.toLowerCase() === 'true';
+      } else if (LIST_FIELDS.includes(field)) {
+        item[field] = value.split(';').map(entry => entry.trim()).filter(Boolean);
+      } else {
+        item[field] = value;
+      }
+    });
+    return item;
+  });
+}
+
+/**
+ * Read batch items from a JSON or CSV file. JSON files hold an array of
+ * items or seeds, or { items, defaults } like POST /api/batches.
+ * @param {string} file - Path to the batch file
+ * @returns {Promise<Object>} { items, defaults }
+ */
+async function readBatchFile(file) {
+  let contents;
+  try {
+    contents = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw usageError(`Cannot read batch file: ${error.message}`);
+  }
+
+  if (path.extname(file).toLowerCase() !== '.json') {
+    return { items: parseCsvItems(contents), defaults: {} };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(contents);
+  } catch (error) {
+    throw usageError(`Batch file is not valid JSON: ${error.message}`);
+  }
+
+  const items = Array.isArray(parsed) ? parsed : parsed.items;
+  if (!Array.isArray(items)) {
+    throw usageError('JSON batch files must be an array of items or { "items": [...] }');
+  }
+
+  return {
+    items: items.map(item => (typeof item === 'object' && item !== null ? item : { seed: item })),
+    defaults: Array.isArray(parsed) ? {} : parsed.defaults || {}
+  };
+}
+
+/**
+ * Run the batch command. Every item is validated before any map is generated;
+ * items that resolve to the same map are generated once.
+ * @param {Object} values - Parsed options
+ * @param {string} file - Path to the batch file
+ * @param {Object} printer - Printer from createPrinter
+ * @returns {Promise<number>} Exit code
+ */
+async function batchCommand(values, file, printer) {
+  if (!file) {
+    throw usageError('batch needs a JSON or CSV file of seeds');
+  }
+  if (values.out) {
+    throw usageError('batch writes one file per map, use --out-dir instead of --out');
+  }
+
+  const { items, defaults } = await readBatchFile(file);
+  if (items.length === 0) {
+    throw usageError('Batch file has no items');
+  }
+
+  // Items override the file's defaults, which override command line options
+  const baseParams = toRequestParams(values);
+  const requests = items.map((item, index) =>
+    parseOrThrow({ ...baseParams, ...defaults, ...item }, `items[${index}]: `)
+  );
+
+  const destination = { outDir: values['out-dir'] };
+  const resultsByKey = new Map();
+  const results = [];
+
+  for (const [index, request] of requests.entries()) {
+    // Items after an interrupt are left out of the results
+    if (interrupt.signal.aborted) {
+      break;
+    }
+
+    const label = `[${index + 1}/${requests.length}] seed ${request.seedInput}`;
+    if (!resultsByKey.has(request.cacheKey)) {
+      resultsByKey.set(request.cacheKey, await runGeneration(request, destination, printer, label));
+    }
+
+    const result = resultsByKey.get(request.cacheKey);
+    results.push({
+      index,
+      seed: request.seedInput,
+      dimension: request.dimension,
+      status: result.success ? 'ready' : result.status,
+      ...(result.success
+        ? { files: result.files }
+        : { error: result.error, message: result.message, ...(result.files && { files: result.files }) })
+    });
+  }
+
+  const ready = results.filter(item => item.status === 'ready').length;
+  const failed = results.filter(item => item.status === 'failed').length;
+  const lines = results.map(item =>
+    item.status === 'ready'
+      ? `ready     #${item.index} seed ${item.seed} (${item.dimension})\n${describeFiles(item.files)}`
+      : `${item.status.padEnd(9)} #${item.index} seed ${item.seed} (${item.dimension}): ${item.message}`
+  );
+
+  printer.result(
+    { success: ready === requests.length, total: requests.length, ready, failed, items: results },
+    `${lines.join('\n')}\n${ready} of ${requests.length} maps generated`
+  );
+
+  if (interrupt.signal.aborted) {
+    return EXIT_CODES.INTERRUPTED;
+  }
+  if (failed === 0) {
+    return EXIT_CODES.SUCCESS;
+  }
+  return failed === results.length ? EXIT_CODES.FAILED : EXIT_CODES.PARTIAL;
+}
+
+/**
+ * Run the process command, cropping a raw screenshot the way generate does
+ * @param {Object} values - Parsed options
+ * @param {string} file - Path to the raw screenshot
+ * @param {Object} printer - Printer from createPrinter
+ * @returns {Promise<number>} Exit code
+ */
+async function processCommand(values, file, printer) {
+  if (!file) {
+    throw usageError('process needs a raw screenshot file');
+  }
+
+  let screenshot;
+  try {
+    screenshot = await fs.readFile(file);
+  } catch (error) {
+    throw usageError(`Cannot read screenshot: ${error.message}`);
+  }
+
+  // The screenshot already holds the map, so any seed will do
+  const request = parseOrThrow({ seed: '0', ...toRequestParams(values) });
+  if (request.tiled) {
+    throw usageError('Tiled areas are stitched from many screenshots and cannot be processed from one');
+  }
+
+  const jobId = generateJobId(request.seed, request.dimension);
+  const image = await processImage(screenshot, request.dimension, jobId, request.size, request.area, request.zoom, request.overlay, getMapProvider(request.provider));
+  const encoded = await encodeOutputs(image, {
+    formats: request.formats,
+    quality: request.quality,
+    thumbnail: request.thumbnailSize
+  }, jobId);
+
+  const outputs = [
+    ...encoded.images,
+    ...(encoded.thumbnail ? [{ ...encoded.thumbnail, role: 'thumbnail' }] : [])
+  ].map(output => ({
+    ...output,
+    filename: `${path.parse(file).name}-map${output.role ? '-thumb' : ''}.${getFileExtension(output.format)}`
+  }));
+  const paths = resolveOutputPaths(outputs, { out: values.out });
+
+  const files = [];
+  for (const [index, output] of outputs.entries()) {
+    await fs.mkdir(path.dirname(paths[index]), { recursive: true });
+    await fs.writeFile(paths[index], output.buffer);
+    files.push({
+      format: output.format,
+      path: paths[index],
+      ...(output.role && { role: output.role }),
+      bytes: output.buffer.length,
+      width: output.width,
+      height: output.height
+    });
+  }
+
+  printer.result({ success: true, files }, `Processed ${file}\n${describeFiles(files)}`);
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Parse the command line and run a command
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    process.stderr.write(`${error.message}\nRun mc-map --help for usage.\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, file, ...extra] = positionals;
+
+  if (values.help || !command) {
+    (values.help ? process.stdout : process.stderr).write(USAGE);
+    return values.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  const printer = createPrinter(values);
+  setLogWriter(printer.log);
+
+  try {
+    if (extra.length > 0 || (command === 'generate' && file)) {
+      throw usageError(`Unexpected argument: ${command === 'generate' ? file : extra[0]}`);
+    }
+
+    switch (command) {
+      case 'generate':
+        return await generateCommand(values, printer);
+      case 'batch':
+        return await batchCommand(values, file, printer);
+      case 'process':
+        return await processCommand(values, file, printer);
+      default:
+        throw usageError(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    const exitCode = error.exitCode || EXIT_CODES.FAILED;
+    printer.result(
+      { success: false, error: error.code || (exitCode === EXIT_CODES.USAGE ? 'INVALID_ARGUMENTS' : 'FAILED'), message: error.message },
+      `Error: ${error.message}${exitCode === EXIT_CODES.USAGE ? '\nRun mc-map --help for usage.' : ''}`
+    );
+    return exitCode;
+  }
+}
+
+// The first Ctrl-C stops the current map at its next step; a second one exits at once.
+// Either way pooled browsers are closed so no Chrome processes outlive the command.
+process.on('SIGINT', async () => {
+  if (!interrupt.signal.aborted) {
+    process.stderr.write('Stopping, press Ctrl-C again to exit immediately\n');
+    interrupt.abort();
+    return;
+  }
+  await closeBrowserPool();
+  process.exit(EXIT_CODES.INTERRUPTED);
+});
+
+const exitCode = await main();
+await closeBrowserPool();
+process.exit(exitCode);
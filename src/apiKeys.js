@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logInfo, logWarn } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Limits for keys that don't set their own
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE) || 60;
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_DAILY_QUOTA) || 100;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Key records by SHA-256 of the key, so lookups never compare raw secrets
+const keysByHash = new Map();
+
+// Request counts for the current minute by key ID
+const rateWindows = new Map();
+
+/**
+ * Hash an API key for lookup
+ * @param {string} key - Raw API key
+ * @returns {string} Hex SHA-256 hash
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Turn a configured key into a key record
+ * @param {Object} entry - Configured key ({ id, key or keyHash, role, rateLimitPerMinute, dailyQuota })
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {Object} Key record
+ */
+function toKeyRecord(entry, source) {
+  if (!entry || typeof entry.id !== 'string' || !(entry.key || entry.keyHash)) {
+    throw new Error(`Invalid API key entry in ${source}: every key needs an "id" and a "key" or "keyHash"`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    keyHash: entry.keyHash ? entry.keyHash.toLowerCase() : hashApiKey(entry.key),
+    role: entry.role === 'admin' ? 'admin' : 'client',
+    rateLimitPerMinute: entry.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+    // null means unlimited
+    dailyQuota: entry.dailyQuota === undefined ? DEFAULT_DAILY_QUOTA : entry.dailyQuota
+  };
+}
+
+/**
+ * Read key entries from the keys file
+ * @param {string} keysFile - Path to a JSON array of key entries
+ * @returns {Promise<Array>} Key entries, empty if the file doesn't exist
+ */
+async function readKeysFile(keysFile) {
+  try {
+    return JSON.parse(await fs.readFile(keysFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Failed to read API keys from ${keysFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Load API keys from the API_KEYS variable and the keys file.
+ * Must be called once at startup, after the environment is loaded.
+ * @returns {Promise<Object>} Load summary
+ */
+export async function loadApiKeys() {
+  const keysFile = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+  const entries = [];
+
+  if (process.env.API_KEYS) {
+    try {
+      entries.push(...JSON.parse(process.env.API_KEYS).map(entry => toKeyRecord(entry, 'API_KEYS')));
+    } catch (error) {
+      throw new Error(`Failed to parse API_KEYS: ${error.message}`);
+    }
+  }
+  entries.push(...(await readKeysFile(keysFile)).map(entry => toKeyRecord(entry, keysFile)));
+
+  keysByHash.clear();
+  entries.forEach(record => keysByHash.set(record.keyHash, record));
+
+  if (keysByHash.size === 0) {
+    logWarn('No API keys configured, authentication is disabled', { keysFile });
+  } else {
+    logInfo('API keys loaded', {
+      keyCount: keysByHash.size,
+      adminKeyCount: entries.filter(record => record.role === 'admin').length
+    });
+  }
+
+  return { keyCount: keysByHash.size };
+}
+
+/**
+ * Check whether requests have to present an API key
+ * @returns {boolean} True once at least one key is configured
+ */
+export function isAuthEnabled() {
+  return keysByHash.size > 0;
+}
+
+/**
+ * Look up the key record for a presented API key
+ * @param {string} key - Raw API key from the request
+ * @returns {Object|null} Key record or null if unknown
+ */
+export function findApiKey(key) {
+  if (typeof key !== 'string' || key.length === 0) {
+    return null;
+  }
+  return keysByHash.get(hashApiKey(key)) || null;
+}
+
+/**
+ * Count a request against a key's per-minute limit
+ * @param {Object} apiKey - Key record
+ * @returns {Object} Result ({ allowed, limit, remaining, resetAt })
+ */
+export function consumeRateLimit(apiKey) {
+  const now = Date.now();
+  let window = rateWindows.get(apiKey.id);
+
+  if (!window || now - window.startedAt >= RATE_LIMIT_WINDOW_MS) {
+    window = { startedAt: now, count: 0 };
+    rateWindows.set(apiKey.id, window);
+  }
+
+  const limit = apiKey.rateLimitPerMinute;
+  const allowed = window.count < limit;
+  if (allowed) {
+    window.count++;
+  }
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.startedAt + RATE_LIMIT_WINDOW_MS
+  };
+}
+
+/**
+ * Get the start of the current quota day (midnight UTC)
+ * @returns {Date} Start of today in UTC
+ */
+export function getQuotaDayStart() {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
@@ -0,0 +1,51 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonlLog } from './jsonlLog.js';
+import { logInfo } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Append-only batch log, kept next to the job log; every write is a full snapshot of one batch
+const batchLog = createJsonlLog({
+  file: process.env.BATCHES_DB_PATH || path.join(__dirname, '..', 'data', 'batches.jsonl'),
+  name: 'batch',
+  applyRecord: (entries, record) => entries.set(record.batchId, record.batch),
+  snapshotRecord: (batchId, batch) => ({ batchId, batch })
+});
+const batches = batchLog.entries;
+
+/**
+ * Load persisted batches and compact the log.
+ * Must be called once before any other batch store function.
+ * @returns {Promise<Object>} Load summary
+ */
+export async function initBatchStore() {
+  await batchLog.load();
+  await batchLog.compact();
+
+  logInfo('Batch store loaded', { batchesFile: batchLog.file, totalBatches: batches.size });
+
+  return { totalBatches: batches.size };
+}
+
+/**
+ * Get a batch by ID
+ * @param {string} batchId - Batch identifier
+ * @returns {Promise<Object|null>} Batch or null if not found
+ */
+export async function getBatch(batchId) {
+  return batches.get(batchId) || null;
+}
+
+/**
+ * Create or replace a batch
+ * @param {string} batchId - Batch identifier
+ * @param {Object} batch - Batch state
+ * @returns {Promise<Object>} Saved batch
+ */
+export async function saveBatch(batchId, batch) {
+  batches.set(batchId, batch);
+  await batchLog.append({ batchId, batch }, { batchId });
+  return batch;
+}
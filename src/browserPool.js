@@ -0,0 +1,270 @@
+import puppeteer from 'puppeteer';
+import { logInfo, logError, logWarn } from './utils.js';
+import { createHistogram } from './metrics.js';
+
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || parseInt(process.env.MAX_CONCURRENT_JOBS) || 3;
+const MAX_JOBS_PER_BROWSER = parseInt(process.env.BROWSER_MAX_JOBS) || 25;
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu'
+  ]
+};
+
+// Warm browser instances; each job gets its own incognito context in one of them
+const browsers = [];
+let nextBrowserId = 1;
+let recycledCount = 0;
+let crashCount = 0;
+let launchFailureCount = 0;
+// Launch failures since the last successful launch
+let consecutiveLaunchFailures = 0;
+let lastLaunchError = null;
+// When browsers disconnected unexpectedly, pruned to the health window
+let recentCrashes = [];
+
+// The pool reports degraded for this long after a browser crashes
+const HEALTH_WINDOW_MS = 5 * 60 * 1000;
+
+const launchDuration = createHistogram(
+  'mc_map_browser_launch_duration_seconds',
+  'Time to launch a pooled browser',
+  ['result'],
+  [0.25, 0.5, 1, 2, 5, 10, 30]
+);
+
+/**
+ * Launch a browser and add it to the pool
+ * @returns {Object} Pool entry whose `ready` promise resolves once launched
+ */
+function launchBrowser() {
+  const entry = {
+    id: nextBrowserId++,
+    browser: null,
+    jobCount: 0,
+    activePages: 0,
+    retiring: false,
+    launchedAt: new Date().toISOString()
+  };
+
+  logInfo('Launching pooled browser...', { browserId: entry.id });
+  const startedAt = Date.now();
+
+  entry.ready = puppeteer.launch(LAUNCH_OPTIONS)
+    .then(browser => {
+      launchDuration.observe({ result: 'success' }, (Date.now() - startedAt) / 1000);
+      consecutiveLaunchFailures = 0;
+      entry.browser = browser;
+      browser.on('disconnected', () => handleDisconnect(entry));
+      logInfo('Pooled browser launched', { browserId: entry.id, poolSize: browsers.length });
+      return entry;
+    })
+    .catch(error => {
+      launchDuration.observe({ result: 'failure' }, (Date.now() - startedAt) / 1000);
+      launchFailureCount++;
+      consecutiveLaunchFailures++;
+      lastLaunchError = { at: new Date().toISOString(), message: error.message };
+      removeEntry(entry);
+      logError('Failed to launch pooled browser', { browserId: entry.id, error: error.message });
+      throw error;
+    });
+
+  browsers.push(entry);
+  return entry;
+}
+
+/**
+ * Remove an entry from the pool
+ * @param {Object} entry - Pool entry
+ */
+function removeEntry(entry) {
+  const index = browsers.indexOf(entry);
+  if (index !== -1) {
+    browsers.splice(index, 1);
+  }
+}
+
+/**
+ * Drop a browser that went away without being closed by the pool
+ * @param {Object} entry - Pool entry
+ */
+function handleDisconnect(entry) {
+  if (entry.closing) {
+    return;
+  }
+  removeEntry(entry);
+  crashCount++;
+  recentCrashes.push(Date.now());
+  logWarn('Pooled browser disconnected unexpectedly', {
+    browserId: entry.id,
+    jobCount: entry.jobCount,
+    activePages: entry.activePages
+  });
+}
+
+/**
+ * Close a browser and remove it from the pool
+ * @param {Object} entry - Pool entry
+ */
+async function closeEntry(entry) {
+  entry.closing = true;
+  removeEntry(entry);
+
+  try {
+    await entry.browser?.close();
+    logInfo('Pooled browser closed', { browserId: entry.id, jobCount: entry.jobCount });
+  } catch (error) {
+    logWarn('Error closing pooled browser', { browserId: entry.id, error: error.message });
+  }
+}
+
+/**
+ * Stop handing out pages from a browser and close it once its jobs finish
+ * @param {Object} entry - Pool entry
+ * @param {string} reason - Why the browser is being recycled
+ */
+function retireEntry(entry, reason) {
+  if (entry.retiring) {
+    return;
+  }
+  entry.retiring = true;
+  recycledCount++;
+  logInfo('Recycling pooled browser', { browserId: entry.id, reason, jobCount: entry.jobCount });
+
+  if (entry.activePages === 0) {
+    closeEntry(entry);
+  }
+}
+
+/**
+ * Pick the least busy browser that can take another job, launching one if there is room
+ * @returns {Object} Pool entry
+ */
+function selectEntry() {
+  const available = browsers
+    .filter(entry => !entry.retiring)
+    .sort((a, b) => a.activePages - b.activePages);
+
+  const idle = available.find(entry => entry.activePages === 0);
+  if (idle) {
+    return idle;
+  }
+
+  // Retiring browsers still count towards the size until they close
+  if (browsers.length < POOL_SIZE || available.length === 0) {
+    return launchBrowser();
+  }
+
+  return available[0];
+}
+
+/**
+ * Get a fresh page in its own incognito context
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<Object>} Page and a `release` function to call when done
+ */
+export async function acquirePage(jobId) {
+  // Claim the entry before awaiting so concurrent jobs spread across browsers
+  const entry = selectEntry();
+  entry.activePages++;
+  entry.jobCount++;
+
+  let context;
+  try {
+    await entry.ready;
+    context = await entry.browser.createBrowserContext();
+    const page = await context.newPage();
+
+    // A crashed renderer usually means the whole browser is unwell
+    page.once('error', error => {
+      logWarn('Page crashed', { jobId, browserId: entry.id, error: error.message });
+      retireEntry(entry, 'page crash');
+    });
+
+    logInfo('Acquired page from browser pool', {
+      jobId,
+      browserId: entry.id,
+      jobCount: entry.jobCount,
+      activePages: entry.activePages
+    });
+
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+
+      try {
+        await context.close();
+      } catch (error) {
+        logWarn('Error closing browser context', { jobId, browserId: entry.id, error: error.message });
+      }
+
+      entry.activePages--;
+      if (entry.jobCount >= MAX_JOBS_PER_BROWSER) {
+        retireEntry(entry, 'job limit reached');
+      }
+      if (entry.retiring && entry.activePages === 0) {
+        await closeEntry(entry);
+      }
+      logInfo('Released page to browser pool', { jobId, browserId: entry.id });
+    };
+
+    return { page, release };
+
+  } catch (error) {
+    entry.activePages--;
+    await context?.close().catch(() => {});
+    if (entry.browser) {
+      retireEntry(entry, 'failed to open page');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get pool size and health for monitoring
+ * @returns {Object} Pool statistics
+ */
+export function getPoolStats() {
+  const instances = browsers.map(entry => ({
+    id: entry.id,
+    connected: entry.browser ? entry.browser.connected : false,
+    retiring: entry.retiring,
+    jobCount: entry.jobCount,
+    activePages: entry.activePages,
+    launchedAt: entry.launchedAt
+  }));
+
+  recentCrashes = recentCrashes.filter(at => Date.now() - at < HEALTH_WINDOW_MS);
+
+  return {
+    size: browsers.length,
+    maxSize: POOL_SIZE,
+    maxJobsPerBrowser: MAX_JOBS_PER_BROWSER,
+    activePages: browsers.reduce((sum, entry) => sum + entry.activePages, 0),
+    recycledCount,
+    crashCount,
+    recentCrashCount: recentCrashes.length,
+    launchFailureCount,
+    consecutiveLaunchFailures,
+    lastLaunchError,
+    // Crashed browsers leave the pool right away, so health is judged by
+    // recent crashes and by launches failing until one succeeds again
+    healthy: recentCrashes.length === 0 && consecutiveLaunchFailures === 0,
+    browsers: instances
+  };
+}
+
+/**
+ * Close every browser in the pool
+ */
+export async function closeBrowserPool() {
+  await Promise.all(browsers.slice().map(entry => closeEntry(entry)));
+}
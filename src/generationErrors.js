@@ -0,0 +1,103 @@
+// Steps that drive the browser; failures here are usually the page or network
+const BROWSER_STEPS = ['browser', 'navigate', 'cookies', 'sidebar', 'markers', 'waiting', 'screenshot', 'tiles'];
+
+// Failures caused by the service rather than the request, including jobs cut
+// short by a restart; they don't count against a key's daily quota
+const SERVICE_FAILURE_CODES = [
+  'BROWSER_UNAVAILABLE',
+  'BROWSER_LAUNCH_FAILED',
+  'BROWSER_CRASHED',
+  'STORAGE_FAILED',
+  'JOB_INTERRUPTED',
+  'GENERATION_FAILED'
+];
+
+// Known failure causes, checked in order. Each rule matches on the error and
+// the step it happened in; retryable causes are worth running the job again.
+const ERROR_RULES = [
+  {
+    code: 'BROWSER_UNAVAILABLE',
+    retryable: false,
+    matches: error => /Could not find (Chrome|Chromium|browser)|Browser was not found|ENOENT.*chrom/i.test(error.message)
+  },
+  {
+    code: 'BROWSER_LAUNCH_FAILED',
+    retryable: true,
+    matches: error => /Failed to launch the browser process/i.test(error.message)
+  },
+  {
+    code: 'NAVIGATION_TIMEOUT',
+    retryable: true,
+    matches: (error, step) => error.name === 'TimeoutError' && (step === 'navigate' || step === 'tiles')
+  },
+  {
+    code: 'SELECTOR_NOT_FOUND',
+    retryable: true,
+    matches: error => /waiting for selector|No element found for selector|failed to find element/i.test(error.message)
+  },
+  {
+    code: 'PAGE_TIMEOUT',
+    retryable: true,
+    matches: error => error.name === 'TimeoutError'
+  },
+  {
+    code: 'NETWORK_ERROR',
+    retryable: true,
+    matches: error => /net::ERR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(error.message)
+  },
+  {
+    code: 'BROWSER_CRASHED',
+    retryable: true,
+    matches: error => /Target closed|Session closed|Protocol error|Browser disconnected|browser has disconnected|Navigating frame was detached|Execution context was destroyed/i.test(error.message)
+  },
+  {
+    code: 'IMAGE_OUT_OF_BOUNDS',
+    retryable: false,
+    matches: error => /extract_area|bad extract area/i.test(error.message)
+  },
+  {
+    code: 'STORAGE_FAILED',
+    retryable: true,
+    matches: (error, step) => step === 'saving'
+  },
+  {
+    code: 'IMAGE_PROCESSING_FAILED',
+    retryable: false,
+    matches: (error, step) => ['processing', 'validating', 'encoding'].includes(step)
+  }
+];
+
+/**
+ * Check whether a failure code means the service, not the request, was at fault
+ * @param {string} code - Job error code
+ * @returns {boolean} True for service failures
+ */
+export function isServiceFailure(code) {
+  return SERVICE_FAILURE_CODES.includes(code);
+}
+
+/**
+ * Classify a map generation failure by the step it happened in and its cause
+ * @param {Error} error - The error thrown during generation
+ * @param {string|null} step - Progress step that was running (see PROGRESS_STEPS)
+ * @returns {Object} Classification ({ code, retryable, step })
+ */
+export function classifyGenerationError(error, step) {
+  // Rejected images already carry their own code
+  if (error.name === 'ScreenshotValidationError') {
+    return { code: error.code, retryable: error.retryable, step };
+  }
+
+  const rule = ERROR_RULES.find(candidate => candidate.matches(error, step));
+  if (rule) {
+    return { code: rule.code, retryable: rule.retryable, step };
+  }
+
+  // Unknown browser failures are usually a flaky page load, unknown image
+  // failures will happen again on the same input
+  return {
+    code: 'GENERATION_FAILED',
+    retryable: BROWSER_STEPS.includes(step),
+    step
+  };
+}
@@ -0,0 +1,98 @@
+import sharp from 'sharp';
+import { logInfo, logError } from './utils.js';
+
+// File extension for each output format
+const FILE_EXTENSIONS = {
+  png: 'png',
+  webp: 'webp',
+  jpeg: 'jpg',
+  avif: 'avif'
+};
+
+// Thumbnails are previews, so they always use the smallest widely supported format
+const THUMBNAIL_FORMAT = 'webp';
+
+/**
+ * Get the file extension for an output format
+ * @param {string} format - Output format (png, webp, jpeg, avif)
+ * @returns {string} Extension without the dot
+ */
+export function getFileExtension(format) {
+  return FILE_EXTENSIONS[format];
+}
+
+/**
+ * Set the encoder on a sharp pipeline
+ * @param {Object} pipeline - Sharp instance
+ * @param {string} format - Output format
+ * @param {number} quality - Quality for lossy formats (1-100)
+ * @returns {Object} Sharp instance
+ */
+function applyFormat(pipeline, format, quality) {
+  switch (format) {
+    case 'webp':
+      return pipeline.webp({ quality });
+    case 'jpeg':
+      // JPEG has no alpha, so transparent tile gaps become black
+      return pipeline.jpeg({ quality, mozjpeg: true });
+    case 'avif':
+      return pipeline.avif({ quality });
+    default:
+      return pipeline.png();
+  }
+}
+
+/**
+ * Encode a rendered map in each requested format, plus an optional thumbnail
+ * @param {Buffer} imageBuffer - Processed PNG from processImage or stitchTiles
+ * @param {Object} options - Output options
+ * @param {Array<string>} options.formats - Normalized output formats, main format first
+ * @param {number} options.quality - Quality for lossy formats and the thumbnail
+ * @param {number|null} options.thumbnail - Longest thumbnail side, or null for none
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<Object>} Encoded images ({ images, thumbnail }), each with format, buffer, width and height
+ */
+export async function encodeOutputs(imageBuffer, { formats, quality, thumbnail }, jobId) {
+  try {
+    logInfo('Encoding map outputs', { jobId, formats, quality, thumbnail });
+
+    // Stitched maps can exceed sharp's default pixel limit
+    const source = () => sharp(imageBuffer, { limitInputPixels: false });
+
+    const images = [];
+    for (const format of formats) {
+      if (format === 'png') {
+        // The processed image is already a PNG
+        const { width, height } = await source().metadata();
+        images.push({ format, buffer: imageBuffer, width, height });
+        continue;
+      }
+
+      const { data, info } = await applyFormat(source(), format, quality)
+        .toBuffer({ resolveWithObject: true });
+      images.push({ format, buffer: data, width: info.width, height: info.height });
+    }
+
+    let thumbnailImage = null;
+    if (thumbnail) {
+      const { data, info } = await applyFormat(
+        source().resize({ width: thumbnail, height: thumbnail, fit: 'inside', withoutEnlargement: true }),
+        THUMBNAIL_FORMAT,
+        quality
+      ).toBuffer({ resolveWithObject: true });
+      thumbnailImage = { format: THUMBNAIL_FORMAT, buffer: data, width: info.width, height: info.height };
+    }
+
+    logInfo('Map outputs encoded', {
+      jobId,
+      sizes: images.map(image => ({ format: image.format, bytes: image.buffer.length })),
+      ...(thumbnailImage && { thumbnailBytes: thumbnailImage.buffer.length })
+    });
+
+    return { images, thumbnail: thumbnailImage };
+
+  } catch (error) {
+    logError('Output encoding failed', { jobId, formats, error: error.message });
+    throw error;
+  }
+}
@@ -0,0 +1,199 @@
+import sharp from 'sharp';
+import { logInfo, logWarn } from './utils.js';
+
+// Set to "off" to accept every image, e.g. if the map site changes its colors
+const SCREENSHOT_VALIDATION = process.env.SCREENSHOT_VALIDATION !== 'off';
+
+// Biome colors the map site draws for each dimension (RGB)
+const BIOME_PALETTES = {
+  overworld: [
+    [0, 0, 112], [0, 0, 48], [0, 0, 172], [0, 0, 144], [32, 32, 112], [112, 112, 214],
+    [0, 0, 255], [160, 160, 255], [141, 179, 96], [250, 148, 24], [96, 96, 96],
+    [5, 102, 33], [11, 102, 89], [7, 249, 178], [255, 255, 255], [160, 160, 160],
+    [255, 0, 255], [250, 222, 85], [83, 123, 9], [162, 162, 132], [250, 240, 192],
+    [48, 116, 68], [64, 81, 26], [49, 85, 74], [89, 102, 81], [189, 178, 95],
+    [217, 69, 21], [176, 151, 101], [202, 140, 101], [96, 164, 69], [255, 145, 200]
+  ],
+  nether: [
+    [191, 59, 59], [82, 41, 33], [221, 8, 8], [73, 144, 123], [104, 95, 112]
+  ],
+  end: [
+    [128, 128, 255], [75, 75, 171], [201, 201, 89], [181, 181, 54], [112, 112, 214], [0, 0, 0]
+  ]
+};
+
+// Images are checked at this width; nearest-neighbour keeps biome colors exact
+const SAMPLE_WIDTH = 200;
+
+// A pixel this close (RGB distance) to a palette color counts as that biome
+const PALETTE_TOLERANCE = 12;
+
+// Below this channel standard deviation the image is a flat canvas
+const MIN_STDEV = 4;
+
+// A single non-biome color covering this much of the image is a dialog or error page
+const MAX_FOREIGN_DOMINANT_RATIO = 0.5;
+
+// Less than this share of biome-colored pixels means the map isn't visible
+const MIN_PALETTE_COVERAGE = 0.3;
+
+// Coverage of another dimension's palette that marks a map of the wrong dimension
+const WRONG_DIMENSION_COVERAGE = 0.6;
+
+/**
+ * Squared RGB distance between two colors
+ * @param {Array<number>} a - First color
+ * @param {Array<number>} b - Second color
+ * @returns {number} Squared distance
+ */
+function colorDistanceSquared(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+/**
+ * Check whether a color is close to any color of a palette
+ * @param {Array<number>} color - RGB color
+ * @param {Array<Array<number>>} palette - Palette colors
+ * @returns {boolean} True if within PALETTE_TOLERANCE of a palette color
+ */
+function isInPalette(color, palette) {
+  return palette.some(entry => colorDistanceSquared(color, entry) <= PALETTE_TOLERANCE ** 2);
+}
+
+/**
+ * Check whether a color is white or light grey, the background of dialogs
+ * and error pages. Snowy biomes share it, but never cover most of a map.
+ * @param {Array<number>} color - RGB color
+ * @returns {boolean} True for light neutral colors
+ */
+function isLightNeutral(color) {
+  return Math.min(...color) >= 200 && Math.max(...color) - Math.min(...color) <= 16;
+}
+
+/**
+ * Measure the image statistics used for validation
+ * @param {Buffer} imageBuffer - Map image
+ * @param {string} dimension - Requested dimension
+ * @returns {Promise<Object>} Image statistics
+ */
+async function measureImage(imageBuffer, dimension) {
+  const image = sharp(imageBuffer, { limitInputPixels: false });
+  const [{ width, height }, stats] = await Promise.all([image.metadata(), image.stats()]);
+
+  const { data } = await sharp(imageBuffer, { limitInputPixels: false })
+    .removeAlpha()
+    .resize(SAMPLE_WIDTH, null, { kernel: 'nearest' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const dominant = [stats.dominant.r, stats.dominant.g, stats.dominant.b];
+  const coverage = Object.fromEntries(Object.keys(BIOME_PALETTES).map(name => [name, 0]));
+  let dominantCount = 0;
+  const pixelCount = data.length / 3;
+
+  for (let i = 0; i < data.length; i += 3) {
+    const color = [data[i], data[i + 1], data[i + 2]];
+    // sharp reports the dominant color by histogram bin, so match loosely
+    if (colorDistanceSquared(color, dominant) <= 16 ** 2) {
+      dominantCount++;
+    }
+    for (const [name, palette] of Object.entries(BIOME_PALETTES)) {
+      if (isInPalette(color, palette)) {
+        coverage[name]++;
+      }
+    }
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    width,
+    height,
+    stdev: round(Math.max(...stats.channels.slice(0, 3).map(channel => channel.stdev))),
+    dominantColor: dominant,
+    dominantRatio: round(dominantCount / pixelCount),
+    dominantInPalette: isInPalette(dominant, BIOME_PALETTES[dimension]) && !isLightNeutral(dominant),
+    paletteCoverage: Object.fromEntries(
+      Object.entries(coverage).map(([name, count]) => [name, round(count / pixelCount)])
+    )
+  };
+}
+
+/**
+ * Check that a finished map image actually shows a map: not an empty canvas,
+ * not covered by a dialog or error page, at the expected size and drawn
+ * with the requested dimension's biome colors.
+ * @param {Buffer} imageBuffer - Map image, before encoding
+ * @param {Object} params - Validation parameters
+ * @param {string} params.dimension - Requested dimension
+ * @param {Object} params.expected - Expected pixel size ({ width, height })
+ * @param {string} params.jobId - Job identifier for logging
+ * @returns {Promise<Object>} Result ({ valid, code, reason, retryable, stats })
+ */
+export async function validateMapImage(imageBuffer, { dimension, expected, jobId }) {
+  if (!SCREENSHOT_VALIDATION) {
+    return { valid: true, stats: null };
+  }
+
+  const stats = await measureImage(imageBuffer, dimension);
+  const reject = (code, reason, retryable) => {
+    logWarn('Map image rejected', { jobId, code, reason, stats });
+    return { valid: false, code, reason, retryable, stats };
+  };
+
+  if (stats.width !== expected.width || stats.height !== expected.height) {
+    return reject(
+      'WRONG_IMAGE_SIZE',
+      `Image is ${stats.width}x${stats.height}, expected ${expected.width}x${expected.height}`,
+      false
+    );
+  }
+
+  if (stats.stdev < MIN_STDEV) {
+    return reject('BLANK_SCREENSHOT', 'Image is a single flat color, the map did not render', true);
+  }
+
+  if (!stats.dominantInPalette && stats.dominantRatio > MAX_FOREIGN_DOMINANT_RATIO) {
+    return reject(
+      'OBSTRUCTED_SCREENSHOT',
+      `${Math.round(stats.dominantRatio * 100)}% of the image is rgb(${stats.dominantColor.join(', ')}), which is not one of the ${dimension} biome colors`,
+      true
+    );
+  }
+
+  const requestedCoverage = stats.paletteCoverage[dimension];
+  if (requestedCoverage < MIN_PALETTE_COVERAGE) {
+    const [otherDimension, otherCoverage] = Object.entries(stats.paletteCoverage)
+      .filter(([name]) => name !== dimension)
+      .sort((a, b) => b[1] - a[1])[0];
+
+    if (otherCoverage >= WRONG_DIMENSION_COVERAGE) {
+      return reject(
+        'WRONG_DIMENSION',
+        `Image shows ${otherDimension} biome colors instead of ${dimension}`,
+        false
+      );
+    }
+    return reject(
+      'OBSTRUCTED_SCREENSHOT',
+      `Only ${Math.round(requestedCoverage * 100)}% of the image shows ${dimension} biome colors`,
+      true
+    );
+  }
+
+  logInfo('Map image passed validation', { jobId, stats });
+  return { valid: true, stats };
+}
+
+/**
+ * Build the error thrown for a rejected map image
+ * @param {Object} validation - Failed result from validateMapImage
+ * @returns {Error} Error carrying the rejection code and whether to retry
+ */
+export function createValidationError(validation) {
+  const error = new Error(`Map image rejected: ${validation.reason}`);
+  error.name = 'ScreenshotValidationError';
+  error.code = validation.code;
+  error.retryable = validation.retryable;
+  error.validation = validation.stats;
+  return error;
+}
@@ -0,0 +1,28 @@
+import { EventEmitter } from 'events';
+
+// Live job updates for streaming clients; the job store keeps the durable state
+const emitter = new EventEmitter();
+
+// Every open stream adds a listener, so there is no sensible warning threshold
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an update to everyone following a job
+ * @param {string} jobId - Job identifier
+ * @param {string} type - Event type (status, progress)
+ * @param {Object} data - Event payload
+ */
+export function publishJobEvent(jobId, type, data) {
+  emitter.emit(jobId, { type, data });
+}
+
+/**
+ * Follow updates for a job
+ * @param {string} jobId - Job identifier
+ * @param {Function} listener - Called with each event ({ type, data })
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
@@ -0,0 +1,152 @@
+import { getSeedError, normalizeSeed } from './seed.js';
+import { isValidDimension, normalizeDimension, createErrorResponse } from './utils.js';
+
+export const JOB_STATUSES = ['queued', 'processing', 'ready', 'failed', 'cancelled', 'expired'];
+
+// Fields jobs can be sorted by; jobs missing the field sort last
+const SORT_FIELDS = ['createdAt', 'startedAt', 'completedAt'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Split a query parameter given as a comma-separated list, repeated, or both
+ * @param {string|Array<string>|undefined} value - Raw query value
+ * @returns {Array<string>} Non-empty entries
+ */
+function splitList(value) {
+  return [value].flat()
+    .filter(entry => typeof entry === 'string')
+    .flatMap(entry => entry.split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse an ISO 8601 date query parameter
+ * @param {string|undefined} value - Raw query value
+ * @returns {Date|null|undefined} Date, null if missing, undefined if invalid
+ */
+function parseDate(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  return isNaN(date) ? undefined : date;
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string|undefined} value - Raw query value
+ * @param {number} fallback - Value when missing
+ * @returns {number} Parsed value, NaN if invalid
+ */
+function parsePositiveInteger(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+}
+
+/**
+ * Validate and normalize the query parameters of the job listing
+ * @param {Object} query - Query parameters of GET /api/jobs
+ * @returns {Object} { error } with an error response, or { options } with filters, sorting and pagination
+ */
+export function parseJobListQuery(query) {
+  const invalid = (code, message) => ({ error: createErrorResponse(code, message) });
+
+  const statuses = splitList(query.status).map(status => status.toLowerCase());
+  if (!statuses.every(status => JOB_STATUSES.includes(status))) {
+    return invalid('INVALID_STATUS', `status must be one or more of: ${JOB_STATUSES.join(', ')}`);
+  }
+
+  const dimensions = splitList(query.dimension);
+  if (!dimensions.every(isValidDimension)) {
+    return invalid('INVALID_DIMENSION', 'Dimension must be one of: overworld, nether, end');
+  }
+
+  let seed = null;
+  if (query.seed !== undefined) {
+    const seedError = typeof query.seed === 'string' ? getSeedError(query.seed) : 'seed must be given once';
+    if (seedError) {
+      return invalid('INVALID_SEED', seedError);
+    }
+    // Text seeds match the numeric seed they hash to, like the generate endpoint
+    seed = normalizeSeed(query.seed).seed;
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return invalid('INVALID_DATE_RANGE', 'from and to must be ISO 8601 dates');
+  }
+  if (from && to && from > to) {
+    return invalid('INVALID_DATE_RANGE', 'from must not be later than to');
+  }
+
+  const page = parsePositiveInteger(query.page, 1);
+  const limit = parsePositiveInteger(query.limit, DEFAULT_PAGE_SIZE);
+  if (!(page >= 1) || !(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return invalid('INVALID_PAGINATION', `page must be a positive integer and limit an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  // "-createdAt" sorts descending, "createdAt" ascending
+  const sort = typeof query.sort === 'string' ? query.sort : '-createdAt';
+  const sortField = sort.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(sortField)) {
+    return invalid('INVALID_SORT', `sort must be one of: ${SORT_FIELDS.join(', ')}, prefixed with - for descending order`);
+  }
+
+  return {
+    options: {
+      statuses,
+      dimensions: dimensions.map(normalizeDimension),
+      seed,
+      from,
+      to,
+      sortField,
+      descending: sort.startsWith('-'),
+      page,
+      limit
+    }
+  };
+}
+
+/**
+ * Filter, sort and paginate jobs
+ * @param {Array} jobs - Jobs from listJobs
+ * @param {Object} options - Options from parseJobListQuery
+ * @param {string|null} apiKeyId - Only include jobs created by this key, if set
+ * @returns {Object} Page of jobs ({ jobs, total })
+ */
+export function selectJobs(jobs, options, apiKeyId = null) {
+  const { statuses, dimensions, seed, from, to, sortField, descending, page, limit } = options;
+
+  const matching = jobs.filter(job => {
+    const createdAt = new Date(job.createdAt);
+    return (!apiKeyId || job.apiKeyId === apiKeyId) &&
+      (statuses.length === 0 || statuses.includes(job.status)) &&
+      (dimensions.length === 0 || dimensions.includes(job.dimension)) &&
+      (!seed || job.seed === seed) &&
+      (!from || createdAt >= from) &&
+      (!to || createdAt <= to);
+  });
+
+  matching.sort((a, b) => {
+    let difference = 0;
+    if (a[sortField] && b[sortField]) {
+      difference = new Date(a[sortField]) - new Date(b[sortField]);
+      difference = descending ? -difference : difference;
+    } else if (a[sortField] || b[sortField]) {
+      difference = a[sortField] ? -1 : 1;
+    }
+    // Ties keep a stable order by job ID so pages don't overlap
+    return difference || a.jobId.localeCompare(b.jobId);
+  });
+
+  return {
+    jobs: matching.slice((page - 1) * limit, page * limit),
+    total: matching.length
+  };
+}
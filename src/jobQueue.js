@@ -0,0 +1,113 @@
+const MAX_QUEUE_LENGTH = parseInt(process.env.MAX_QUEUE_LENGTH) || 20;
+
+// Used for start time estimates until real runs have been timed
+const DEFAULT_JOB_DURATION_MS = 45000;
+const DURATION_SAMPLE_SIZE = 20;
+
+// FIFO of job IDs waiting for a free generation slot
+const queue = [];
+
+// Durations of the most recent finished runs
+const recentDurations = [];
+
+/**
+ * Add a job to the back of the queue
+ * @param {string} jobId - Job identifier
+ * @returns {number} Queue position (1-based)
+ */
+export function enqueue(jobId) {
+  queue.push(jobId);
+  return queue.length;
+}
+
+/**
+ * Take the job at the front of the queue
+ * @returns {string|undefined} Job ID or undefined if the queue is empty
+ */
+export function dequeue() {
+  return queue.shift();
+}
+
+/**
+ * Remove a job from the queue wherever it is
+ * @param {string} jobId - Job identifier
+ * @returns {boolean} True if the job was queued
+ */
+export function removeFromQueue(jobId) {
+  const index = queue.indexOf(jobId);
+  if (index === -1) {
+    return false;
+  }
+  queue.splice(index, 1);
+  return true;
+}
+
+/**
+ * Get a job's position in the queue
+ * @param {string} jobId - Job identifier
+ * @returns {number|null} Queue position (1-based) or null if not queued
+ */
+export function getQueuePosition(jobId) {
+  const index = queue.indexOf(jobId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Get the number of queued jobs
+ * @returns {number} Queue length
+ */
+export function getQueueLength() {
+  return queue.length;
+}
+
+/**
+ * Get the configured maximum queue length
+ * @returns {number} Maximum queue length
+ */
+export function getMaxQueueLength() {
+  return MAX_QUEUE_LENGTH;
+}
+
+/**
+ * Check whether the queue can take more jobs
+ * @param {number} count - Number of jobs to add
+ * @returns {boolean} True if the queue has no room
+ */
+export function isQueueFull(count = 1) {
+  return queue.length + count > MAX_QUEUE_LENGTH;
+}
+
+/**
+ * Record how long a generation run took, for start time estimates
+ * @param {number} durationMs - Run duration in milliseconds
+ */
+export function recordJobDuration(durationMs) {
+  recentDurations.push(durationMs);
+  if (recentDurations.length > DURATION_SAMPLE_SIZE) {
+    recentDurations.shift();
+  }
+}
+
+/**
+ * Get the average duration of recent runs
+ * @returns {number} Average duration in milliseconds
+ */
+export function getAverageJobDuration() {
+  if (recentDurations.length === 0) {
+    return DEFAULT_JOB_DURATION_MS;
+  }
+  const total = recentDurations.reduce((sum, duration) => sum + duration, 0);
+  return Math.round(total / recentDurations.length);
+}
+
+/**
+ * Estimate when a queued job will start
+ * @param {number} position - Queue position (1-based)
+ * @param {number} concurrency - Number of jobs that run at once
+ * @returns {string} ISO timestamp of the estimated start
+ */
+export function getEstimatedStartTime(position, concurrency) {
+  // Jobs leave the queue in waves of `concurrency` as running jobs finish
+  const waves = Math.ceil(position / concurrency);
+  return new Date(Date.now() + waves * getAverageJobDuration()).toISOString();
+}
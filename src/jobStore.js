@@ -0,0 +1,196 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonlLog } from './jsonlLog.js';
+import { logInfo } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Append-only job log of full snapshots (put), changed fields (patch) and deletions
+const jobLog = createJsonlLog({
+  file: process.env.JOBS_DB_PATH || path.join(__dirname, '..', 'data', 'jobs.jsonl'),
+  name: 'job',
+  compactAfter: parseInt(process.env.JOBS_COMPACT_AFTER) || 1000,
+  applyRecord: (entries, record) => {
+    if (record.op === 'put') {
+      entries.set(record.jobId, record.job);
+    } else if (record.op === 'patch') {
+      if (entries.has(record.jobId)) {
+        entries.set(record.jobId, { ...entries.get(record.jobId), ...record.changes });
+      }
+    } else if (record.op === 'delete') {
+      entries.delete(record.jobId);
+    }
+  },
+  snapshotRecord: (jobId, job) => ({ op: 'put', jobId, job })
+});
+const jobs = jobLog.entries;
+
+// Job IDs by stored filename, so a download finds its jobs without scanning them all
+const jobIdsByFile = new Map();
+
+/**
+ * Get every stored file that belongs to a job
+ * @param {Object} job - Job record
+ * @returns {Array<string>} Filenames
+ */
+export function getJobFiles(job) {
+  return [
+    job.filename,
+    ...(job.outputs || []).map(output => output.filename),
+    job.thumbnail?.filename,
+    job.originalFilename
+  ].filter(Boolean);
+}
+
+/**
+ * Move a job's entries in the file index from its previous files to its current ones
+ * @param {string} jobId - Job identifier
+ * @param {Object|undefined} previous - Job before the change
+ * @param {Object|undefined} current - Job after the change, undefined once deleted
+ */
+function reindexJobFiles(jobId, previous, current) {
+  for (const filename of previous ? getJobFiles(previous) : []) {
+    const jobIds = jobIdsByFile.get(filename);
+    jobIds?.delete(jobId);
+    if (jobIds?.size === 0) {
+      jobIdsByFile.delete(filename);
+    }
+  }
+  for (const filename of current ? getJobFiles(current) : []) {
+    if (!jobIdsByFile.has(filename)) {
+      jobIdsByFile.set(filename, new Set());
+    }
+    jobIdsByFile.get(filename).add(jobId);
+  }
+}
+
+/**
+ * Load persisted jobs and recover the ones interrupted by a restart.
+ * Must be called once before any other job store function.
+ * @returns {Promise<Object>} Recovery summary
+ */
+export async function initJobStore() {
+  await jobLog.load();
+
+  // Anything still processing was killed with the previous process;
+  // queued jobs never started and are left for the queue to pick up
+  let interruptedCount = 0;
+  const now = new Date().toISOString();
+  for (const [jobId, job] of jobs.entries()) {
+    if (job.status === 'processing') {
+      jobs.set(jobId, {
+        ...job,
+        status: 'failed',
+        error: 'JOB_INTERRUPTED',
+        message: 'Map generation was interrupted by a service restart',
+        retryable: true,
+        completedAt: now
+      });
+      interruptedCount++;
+    }
+  }
+
+  await jobLog.compact();
+
+  jobIdsByFile.clear();
+  for (const [jobId, job] of jobs.entries()) {
+    reindexJobFiles(jobId, undefined, job);
+  }
+
+  logInfo('Job store loaded', {
+    jobsFile: jobLog.file,
+    totalJobs: jobs.size,
+    interruptedCount
+  });
+
+  return { totalJobs: jobs.size, interruptedCount };
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object|null>} Copy of the job, or null if not found
+ */
+export async function getJob(jobId) {
+  // Copies keep callers from changing stored jobs without logging it
+  const job = jobs.get(jobId);
+  return job ? structuredClone(job) : null;
+}
+
+/**
+ * Create or replace a job
+ * @param {string} jobId - Job identifier
+ * @param {Object} job - Job state
+ * @returns {Promise<Object>} Saved job
+ */
+export async function saveJob(jobId, job) {
+  reindexJobFiles(jobId, jobs.get(jobId), job);
+  jobs.set(jobId, structuredClone(job));
+  await jobLog.append({ op: 'put', jobId, job }, { jobId });
+  return job;
+}
+
+/**
+ * Merge changes into an existing job. Only the changed fields are logged, so
+ * frequent progress updates stay small.
+ * @param {string} jobId - Job identifier
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} Updated job or null if not found
+ */
+export async function updateJob(jobId, changes) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+  const updated = { ...job, ...structuredClone(changes) };
+  reindexJobFiles(jobId, job, updated);
+  jobs.set(jobId, updated);
+  await jobLog.append({ op: 'patch', jobId, changes }, { jobId });
+  return structuredClone(updated);
+}
+
+/**
+ * Delete a job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<boolean>} True if the job existed
+ */
+export async function deleteJob(jobId) {
+  if (!jobs.has(jobId)) {
+    return false;
+  }
+  reindexJobFiles(jobId, jobs.get(jobId), undefined);
+  jobs.delete(jobId);
+  await jobLog.append({ op: 'delete', jobId }, { jobId });
+  return true;
+}
+
+/**
+ * List all jobs
+ * @returns {Promise<Array>} Copies of every job with their IDs
+ */
+export async function listJobs() {
+  return Array.from(jobs.entries()).map(([jobId, job]) => ({ jobId, ...structuredClone(job) }));
+}
+
+/**
+ * Find the jobs a stored file belongs to
+ * @param {string} filename - Image filename
+ * @returns {Promise<Array>} Copies of the jobs with their IDs
+ */
+export async function findJobsByFile(filename) {
+  return [...(jobIdsByFile.get(filename) || [])]
+    .map(jobId => ({ jobId, ...structuredClone(jobs.get(jobId)) }));
+}
+
+/**
+ * Find jobs matching a predicate, newest first
+ * @param {Function} predicate - Called with each job (including its ID)
+ * @returns {Promise<Array>} Matching jobs
+ */
+export async function findJobs(predicate) {
+  const all = await listJobs();
+  return all
+    .filter(predicate)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logError, logWarn } from './utils.js';
+
+/**
+ * Create an append-only JSONL log that persists an in-memory map. Stores
+ * update the map and append a record describing the change; once enough
+ * records pile up the log is compacted back down to one record per entry.
+ * @param {Object} options - Log options
+ * @param {string} options.file - Path of the log file
+ * @param {string} options.name - What the records hold (e.g. "job"), for log messages
+ * @param {Function} options.applyRecord - Replays one record into the map: (entries, record) => void
+ * @param {Function} options.snapshotRecord - Builds the record that recreates one entry: (id, value) => record
+ * @param {number} options.compactAfter - Compact once the log holds this many records, and at least twice as many as entries
+ * @returns {Object} Log ({ file, entries, load, append, compact })
+ */
+export function createJsonlLog({ file, name, applyRecord, snapshotRecord, compactAfter = 1000 }) {
+  // In-memory view of the log, rebuilt on startup
+  const entries = new Map();
+
+  // Records in the log file, counted so it can be compacted before it grows without bound
+  let recordCount = 0;
+
+  // Serialize writes so records never interleave and compaction never drops an append
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Queue a write behind every earlier one
+   * @param {Function} write - Performs the write
+   * @param {Object} context - Logged if the write fails
+   * @returns {Promise<void>}
+   */
+  const enqueue = (write, context) => {
+    writeQueue = writeQueue
+      .then(write)
+      .catch(error => {
+        logError(`Failed to write ${name} log`, { ...context, file, error: error.message });
+      });
+    return writeQueue;
+  };
+
+  /**
+   * Rewrite the log so it only holds one record per current entry
+   * @returns {Promise<void>}
+   */
+  const compact = () => {
+    // The compacted log holds one record per entry; counted now so appends
+    // made before the rewrite runs don't trigger another one
+    recordCount = entries.size;
+    return enqueue(async () => {
+      // Snapshot when the write runs, so appends queued earlier are included
+      const lines = Array.from(entries.entries())
+        .map(([id, value]) => JSON.stringify(snapshotRecord(id, value)) + '\n')
+        .join('');
+
+      const tempFile = `${file}.tmp`;
+      await fs.writeFile(tempFile, lines);
+      await fs.rename(tempFile, file);
+    }, { op: 'compact' });
+  };
+
+  return {
+    file,
+    entries,
+
+    /**
+     * Replay the log file into memory
+     * @returns {Promise<void>}
+     */
+    async load() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      let contents = '';
+      try {
+        contents = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      contents.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+
+        recordCount++;
+        try {
+          applyRecord(entries, JSON.parse(line));
+        } catch (error) {
+          // A crash mid-append can leave a truncated last line
+          logWarn(`Skipping unreadable ${name} record`, { line: index + 1, error: error.message });
+        }
+      });
+    },
+
+    /**
+     * Append a record to the log
+     * @param {Object} record - Log record
+     * @param {Object} context - Logged if the write fails (e.g. { jobId })
+     * @returns {Promise<void>}
+     */
+    append(record, context = {}) {
+      const line = JSON.stringify(record) + '\n';
+      const written = enqueue(() => fs.appendFile(file, line), context);
+
+      // Compacting costs a write of every entry, so wait until it at least halves the log
+      recordCount++;
+      if (recordCount >= Math.max(compactAfter, entries.size * 2)) {
+        return compact();
+      }
+      return written;
+    },
+
+    compact
+  };
+}
@@ -0,0 +1,122 @@
+// Screenshot viewport
+export const VIEWPORT = { width: 3840, height: 2160 };
+
+// Default map zoom level (125px per 1000 blocks)
+export const DEFAULT_ZOOM = -3;
+
+// Highest zoom level the map site offers (1px per block)
+export const MAX_ZOOM = 0;
+
+// Largest stitched image side. The stitched map is held in memory as one
+// decoded image (8192x8192 RGBA is 256MB) while it is validated, overlaid and
+// encoded, so this bounds memory per job. 64k maps at zoom -3 are 8000px.
+export const MAX_OUTPUT_DIMENSION = parseInt(process.env.MAX_OUTPUT_DIMENSION) || 8192;
+
+/**
+ * Get the map resolution at a zoom level
+ * @param {number} zoom - Map zoom level (-3 to 0)
+ * @returns {number} Pixels per block (each level doubles the detail)
+ */
+export function getPixelsPerBlock(zoom = DEFAULT_ZOOM) {
+  return 2 ** zoom;
+}
+
+/**
+ * Calculate the screenshot crop for a map area
+ * @param {Object} area - World area from resolveMapArea
+ * @param {number} zoom - Map zoom level
+ * @param {Object} centerPixel - Screen pixel the map provider puts the center coordinate at ({ x, y })
+ * @returns {Object} Crop parameters ({ left, top, width, height })
+ */
+export function calculateCrop(area, zoom, centerPixel) {
+  const pixelsPerBlock = getPixelsPerBlock(zoom);
+
+  // The view is centered on the area's center coordinate, so every edge is
+  // an offset from the center pixel scaled by the map resolution
+  const left = Math.round(centerPixel.x + (area.minX - area.centerX) * pixelsPerBlock);
+  const top = Math.round(centerPixel.y + (area.minZ - area.centerZ) * pixelsPerBlock);
+  const width = Math.round((area.maxX - area.minX) * pixelsPerBlock);
+  const height = Math.round((area.maxZ - area.minZ) * pixelsPerBlock);
+
+  return { left, top, width, height };
+}
+
+/**
+ * Check whether a map area fits in a single screenshot
+ * @param {Object} area - World area from resolveMapArea
+ * @param {number} zoom - Map zoom level
+ * @param {Object} centerPixel - Screen pixel the map provider puts the center coordinate at
+ * @returns {boolean} True if the crop lies inside the viewport
+ */
+export function isAreaCapturable(area, zoom, centerPixel) {
+  const crop = calculateCrop(area, zoom, centerPixel);
+  return crop.width > 0 &&
+    crop.height > 0 &&
+    crop.left >= 0 &&
+    crop.top >= 0 &&
+    crop.left + crop.width <= VIEWPORT.width &&
+    crop.top + crop.height <= VIEWPORT.height;
+}
+
+/**
+ * Get the pixel dimensions of a rendered map area
+ * @param {Object} area - World area from resolveMapArea
+ * @param {number} zoom - Map zoom level
+ * @returns {Object} Output size ({ width, height })
+ */
+export function getOutputDimensions(area, zoom = DEFAULT_ZOOM) {
+  // The size doesn't depend on where the provider draws the map
+  const { width, height } = calculateCrop(area, zoom, { x: 0, y: 0 });
+  return { width, height };
+}
+
+/**
+ * Check whether a map area can be stitched without exceeding the output limit
+ * @param {Object} area - World area from resolveMapArea
+ * @param {number} zoom - Map zoom level
+ * @returns {boolean} True if both sides are within MAX_OUTPUT_DIMENSION
+ */
+export function isWithinOutputLimit(area, zoom = DEFAULT_ZOOM) {
+  const { width, height } = getOutputDimensions(area, zoom);
+  return width > 0 && height > 0 && width <= MAX_OUTPUT_DIMENSION && height <= MAX_OUTPUT_DIMENSION;
+}
+
+/**
+ * Get the world coordinate at the top-left corner of a crop
+ * @param {Object} area - World area the crop was taken around
+ * @param {Object} crop - Crop parameters from calculateCrop
+ * @param {number} zoom - Map zoom level
+ * @param {Object} centerPixel - Screen pixel the crop was calculated from
+ * @returns {Object} Unrounded world coordinate ({ x, z })
+ */
+export function getCropOrigin(area, crop, zoom, centerPixel) {
+  const pixelsPerBlock = getPixelsPerBlock(zoom);
+  return {
+    x: area.centerX + (crop.left - centerPixel.x) / pixelsPerBlock,
+    z: area.centerZ + (crop.top - centerPixel.y) / pixelsPerBlock
+  };
+}
+
+/**
+ * Get the world coordinates covered by each edge of a crop
+ * @param {Object} area - World area the crop was taken around
+ * @param {Object} crop - Crop parameters from calculateCrop
+ * @param {number} zoom - Map zoom level
+ * @param {Object} centerPixel - Screen pixel the crop was calculated from
+ * @returns {Object} Edge coordinates ({ west, east, north, south })
+ */
+export function getCropBounds(area, crop, zoom, centerPixel) {
+  const pixelsPerBlock = getPixelsPerBlock(zoom);
+
+  // Work back from the rounded pixels so the edges match the actual image
+  const origin = getCropOrigin(area, crop, zoom, centerPixel);
+  const west = Math.round(origin.x);
+  const north = Math.round(origin.z);
+
+  return {
+    west,
+    east: west + Math.round(crop.width / pixelsPerBlock),
+    north,
+    south: north + Math.round(crop.height / pixelsPerBlock)
+  };
+}
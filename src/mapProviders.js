@@ -0,0 +1,46 @@
+import { mcseedmapProvider } from './providers/mcseedmap.js';
+import { fixtureProvider } from './providers/fixture.js';
+
+// Every map provider implements: name, label, mapCenterPixel (crop
+// calibration), buildUrl, preparePage and waitForReady
+const providers = {
+  mcseedmap: mcseedmapProvider,
+  fixture: fixtureProvider
+};
+
+// Provider used when a request doesn't name one
+export const DEFAULT_MAP_PROVIDER = process.env.MAP_PROVIDER || 'mcseedmap';
+
+if (!providers[DEFAULT_MAP_PROVIDER]) {
+  throw new Error(`Unknown MAP_PROVIDER "${DEFAULT_MAP_PROVIDER}", expected one of: ${Object.keys(providers).join(', ')}`);
+}
+
+/**
+ * Get the names of every map provider
+ * @returns {Array<string>} Provider names
+ */
+export function getMapProviderNames() {
+  return Object.keys(providers);
+}
+
+/**
+ * Validate a map provider name
+ * @param {string} name - Provider name
+ * @returns {boolean} True if a provider has that name
+ */
+export function isValidMapProvider(name) {
+  return typeof name === 'string' && Object.hasOwn(providers, name.toLowerCase());
+}
+
+/**
+ * Get a map provider by name
+ * @param {string} name - Provider name, defaults to MAP_PROVIDER
+ * @returns {Object} Provider
+ */
+export function getMapProvider(name = DEFAULT_MAP_PROVIDER) {
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown map provider "${name}"`);
+  }
+  return provider;
+}
@@ -0,0 +1,115 @@
+import sharp from 'sharp';
+import { VIEWPORT } from './mapGeometry.js';
+import { logInfo, logWarn } from './utils.js';
+
+// Longest wait for the map to finish rendering before it is captured anyway
+const MAP_READY_TIMEOUT_MS = parseInt(process.env.MAP_READY_TIMEOUT_MS) || 30000;
+
+// How often the map is sampled, and how many unchanged samples in a row mean it has loaded
+const SAMPLE_INTERVAL_MS = 500;
+const STABLE_SAMPLES = 3;
+
+// Samples are shrunk to this width, which is plenty to see tiles appear
+const SAMPLE_WIDTH = 86;
+
+// Mean per-pixel difference (0-255) below which two samples count as unchanged
+const CHANGE_THRESHOLD = 0.5;
+
+// A sample flatter than this is an empty canvas, not a finished map
+const MIN_CONTENT_STDEV = 2;
+
+/**
+ * Take a small greyscale sample of the visible map
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Buffer>} Raw greyscale pixels
+ */
+async function sampleMap(page) {
+  const screenshot = await page.screenshot({
+    type: 'jpeg',
+    quality: 50,
+    clip: { x: 0, y: 0, ...VIEWPORT },
+    optimizeForSpeed: true
+  });
+
+  return sharp(screenshot)
+    .resize(SAMPLE_WIDTH)
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Mean absolute difference between two samples
+ * @param {Buffer} a - First sample
+ * @param {Buffer} b - Second sample of the same size
+ * @returns {number} Mean difference per pixel (0-255)
+ */
+function getMeanDifference(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / a.length;
+}
+
+/**
+ * Standard deviation of a sample's pixel values
+ * @param {Buffer} sample - Greyscale sample
+ * @returns {number} Standard deviation (0-255)
+ */
+function getStandardDeviation(sample) {
+  let sum = 0;
+  let sumOfSquares = 0;
+  for (const value of sample) {
+    sum += value;
+    sumOfSquares += value * value;
+  }
+  const mean = sum / sample.length;
+  return Math.sqrt(Math.max(0, sumOfSquares / sample.length - mean * mean));
+}
+
+/**
+ * Wait until the map has finished rendering: network requests have settled
+ * and consecutive samples of the map no longer change. Gives up after the
+ * timeout without failing, so a slow map is still captured.
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} options - Wait options
+ * @param {string} options.jobId - Job identifier for logging
+ * @param {number} options.timeoutMs - Longest time to wait
+ * @returns {Promise<Object>} Result ({ ready, loadTimeMs, samples })
+ */
+export async function waitForMapReady(page, { jobId, timeoutMs = MAP_READY_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  const remaining = () => timeoutMs - (Date.now() - startedAt);
+
+  // Tile and worker requests finish before the last tiles are drawn
+  await page.waitForNetworkIdle({ idleTime: SAMPLE_INTERVAL_MS, timeout: Math.max(1, remaining()) }).catch(() => {
+    logWarn('Network did not go idle while waiting for the map', { jobId });
+  });
+
+  let previous = null;
+  let stableSamples = 0;
+  let samples = 0;
+
+  while (remaining() > 0) {
+    const sample = await sampleMap(page);
+    samples++;
+
+    const unchanged = previous !== null && getMeanDifference(previous, sample) < CHANGE_THRESHOLD;
+    const hasContent = getStandardDeviation(sample) >= MIN_CONTENT_STDEV;
+    stableSamples = unchanged && hasContent ? stableSamples + 1 : 0;
+    previous = sample;
+
+    if (stableSamples >= STABLE_SAMPLES) {
+      const loadTimeMs = Date.now() - startedAt;
+      logInfo('Map finished rendering', { jobId, loadTimeMs, samples });
+      return { ready: true, loadTimeMs, samples };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Math.min(SAMPLE_INTERVAL_MS, Math.max(0, remaining()))));
+  }
+
+  const loadTimeMs = Date.now() - startedAt;
+  logWarn('Map did not finish rendering before the readiness timeout, capturing anyway', { jobId, loadTimeMs, samples });
+  return { ready: false, loadTimeMs, samples };
+}
@@ -0,0 +1,220 @@
+import { isAreaCapturable, isWithinOutputLimit, MAX_OUTPUT_DIMENSION } from './mapGeometry.js';
+import { isWebhookEnabled, isValidCallbackUrl } from './webhooks.js';
+import { getSeedError, normalizeSeed } from './seed.js';
+import { isValidOverlay, normalizeOverlay } from './overlay.js';
+import { DEFAULT_MAP_PROVIDER, getMapProvider, getMapProviderNames, isValidMapProvider } from './mapProviders.js';
+import {
+  createCacheKey,
+  isValidDimension,
+  isValidSize,
+  isValidEdition,
+  isSupportedVersion,
+  isValidMarkers,
+  isValidCoordinate,
+  isValidBounds,
+  isValidZoom,
+  isValidFormats,
+  isValidQuality,
+  isValidThumbnail,
+  resolveMapArea,
+  getDefaultVersion,
+  normalizeDimension,
+  normalizeEdition,
+  normalizeMarkers,
+  normalizeFormats,
+  normalizeThumbnail,
+  SUPPORTED_VERSIONS,
+  STRUCTURE_MARKERS,
+  DEFAULT_MARKERS,
+  OUTPUT_FORMATS,
+  DEFAULT_FORMATS,
+  DEFAULT_QUALITY,
+  createErrorResponse
+} from './utils.js';
+
+/**
+ * Validate and normalize the parameters of a map request
+ * @param {Object} params - Request body of /api/generate, one batch item, or CLI options
+ * @returns {Object} { error } with an error response, or { request } with normalized job fields
+ */
+export function parseMapRequest(params) {
+  const {
+    seed,
+    dimension = 'overworld',
+    size = 8,
+    edition = 'java',
+    version,
+    markers = DEFAULT_MARKERS,
+    centerX,
+    centerZ,
+    bounds,
+    zoom = -3,
+    tiled,
+    provider = DEFAULT_MAP_PROVIDER,
+    formats = DEFAULT_FORMATS,
+    quality = DEFAULT_QUALITY,
+    thumbnail = false,
+    overlay = false,
+    callbackUrl,
+    debug = false,
+    refresh = false
+  } = params;
+
+  const invalid = (code, message) => ({ error: createErrorResponse(code, message) });
+
+  const seedError = getSeedError(seed);
+  if (seedError) {
+    return invalid('INVALID_SEED', seedError);
+  }
+
+  if (!isValidDimension(dimension)) {
+    return invalid('INVALID_DIMENSION', 'Dimension must be one of: overworld, nether, end');
+  }
+
+  if (!isValidSize(size)) {
+    return invalid('INVALID_SIZE', 'Size must be an integer between 2 and 64 (representing 2k-64k)');
+  }
+
+  if (!isValidEdition(edition)) {
+    return invalid('INVALID_EDITION', `Edition must be one of: ${Object.keys(SUPPORTED_VERSIONS).join(', ')}`);
+  }
+
+  const normalizedEdition = normalizeEdition(edition);
+  const gameVersion = version === undefined ? getDefaultVersion(normalizedEdition) : String(version).trim();
+
+  if (!isSupportedVersion(gameVersion, normalizedEdition)) {
+    return invalid(
+      'UNSUPPORTED_VERSION',
+      `Version ${gameVersion} is not supported for ${normalizedEdition} edition. Supported versions: ${SUPPORTED_VERSIONS[normalizedEdition].join(', ')}`
+    );
+  }
+
+  if (!isValidMarkers(markers)) {
+    return invalid('INVALID_MARKERS', `Markers must be an array of: ${Object.keys(STRUCTURE_MARKERS).join(', ')}`);
+  }
+
+  const hasCenter = centerX !== undefined || centerZ !== undefined;
+
+  if (hasCenter && !(isValidCoordinate(centerX ?? 0) && isValidCoordinate(centerZ ?? 0))) {
+    return invalid('INVALID_COORDINATES', 'centerX and centerZ must be integers inside the world border');
+  }
+
+  if (bounds !== undefined && (hasCenter || !isValidBounds(bounds))) {
+    return invalid(
+      'INVALID_BOUNDS',
+      'Bounds must be { minX, minZ, maxX, maxZ } integers with min < max, and cannot be combined with centerX/centerZ'
+    );
+  }
+
+  if (callbackUrl !== undefined) {
+    if (!isWebhookEnabled()) {
+      return invalid('WEBHOOKS_DISABLED', 'callbackUrl requires WEBHOOK_SECRET to be configured');
+    }
+    if (!isValidCallbackUrl(callbackUrl)) {
+      return invalid('INVALID_CALLBACK_URL', 'callbackUrl must be an absolute http or https URL');
+    }
+  }
+
+  if (!isValidZoom(zoom)) {
+    return invalid('INVALID_ZOOM', 'Zoom must be an integer between -3 and 0');
+  }
+
+  if (tiled !== undefined && typeof tiled !== 'boolean') {
+    return invalid('INVALID_CAPTURE_MODE', 'tiled must be a boolean');
+  }
+
+  if (!isValidMapProvider(provider)) {
+    return invalid('INVALID_PROVIDER', `Provider must be one of: ${getMapProviderNames().join(', ')}`);
+  }
+
+  if (!isValidFormats(formats)) {
+    return invalid('INVALID_FORMATS', `Formats must be a non-empty array of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (!isValidQuality(quality)) {
+    return invalid('INVALID_QUALITY', 'Quality must be an integer between 1 and 100');
+  }
+
+  if (!isValidThumbnail(thumbnail)) {
+    return invalid('INVALID_THUMBNAIL', 'Thumbnail must be a boolean or an integer between 64 and 1024 (longest side in pixels)');
+  }
+
+  if (!isValidOverlay(overlay)) {
+    return invalid(
+      'INVALID_OVERLAY',
+      'Overlay must be a boolean or { grid, labels, scaleBar, crosshair, caption, gridSpacing } with boolean flags, a caption of at most 100 characters and a gridSpacing between 16 and 100000 blocks'
+    );
+  }
+
+  const area = resolveMapArea({
+    size,
+    centerX: centerX ?? 0,
+    centerZ: centerZ ?? 0,
+    bounds
+  });
+
+  // Each provider centers its map on a different pixel, which limits what one screenshot can hold
+  const mapProvider = getMapProvider(provider);
+  const capturable = isAreaCapturable(area, zoom, mapProvider.mapCenterPixel);
+
+  // Areas that don't fit in one screenshot are tiled unless the client opted out
+  const useTiles = tiled ?? !capturable;
+
+  if (!useTiles && !capturable) {
+    return invalid('INVALID_BOUNDS', 'Requested area is too large to capture in a single screenshot, use tiled capture');
+  }
+
+  if (!isWithinOutputLimit(area, zoom)) {
+    return invalid('INVALID_BOUNDS', `Requested area would exceed ${MAX_OUTPUT_DIMENSION}px per side at zoom ${zoom}`);
+  }
+
+  // Text seeds share jobs and files with the numeric seed they hash to
+  const resolvedSeed = normalizeSeed(seed);
+  const normalizedDimension = normalizeDimension(dimension);
+  const normalizedMarkers = normalizeMarkers(markers);
+  const normalizedFormats = normalizeFormats(formats);
+  const thumbnailSize = normalizeThumbnail(thumbnail);
+  const normalizedOverlay = normalizeOverlay(overlay);
+  const cacheKey = createCacheKey({
+    seed: resolvedSeed.seed,
+    dimension: normalizedDimension,
+    size: bounds ? null : size,
+    version: `${gameVersion}-${normalizedEdition}`,
+    options: {
+      markers: normalizedMarkers,
+      area: [area.minX, area.minZ, area.maxX, area.maxZ],
+      zoom,
+      tiled: useTiles,
+      formats: normalizedFormats,
+      quality,
+      thumbnail: thumbnailSize,
+      overlay: normalizedOverlay,
+      // Left out for the default site so existing cache keys still match
+      ...(mapProvider.name !== 'mcseedmap' && { provider: mapProvider.name })
+    }
+  });
+
+  return {
+    request: {
+      seed: resolvedSeed.seed,
+      seedInput: seed,
+      dimension: normalizedDimension,
+      size: bounds ? null : parseInt(size),
+      area,
+      zoom,
+      tiled: useTiles,
+      provider: mapProvider.name,
+      version: gameVersion,
+      edition: normalizedEdition,
+      markers: normalizedMarkers,
+      formats: normalizedFormats,
+      quality,
+      thumbnailSize,
+      overlay: normalizedOverlay,
+      callbackUrl,
+      debug: Boolean(debug),
+      refresh: Boolean(refresh),
+      cacheKey
+    }
+  };
+}
@@ -0,0 +1,142 @@
+// Metrics in registration order, rendered by renderMetrics
+const registry = [];
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets in seconds, from a quick page step to a slow tiled render
+export const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {Object} labels - Label values by name
+ * @returns {string} Formatted labels, empty without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Pick a metric's labels from an object, in declaration order
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Given label values
+ * @returns {Object} Label values
+ */
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Register a counter
+ * @param {string} name - Metric name, ending in _total
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} Counter ({ inc(labels, value) })
+ */
+export function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  registry.push({
+    name,
+    help,
+    type: 'counter',
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  });
+
+  return {
+    inc(labels = {}, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const current = series.get(key) || { labels: picked, value: 0 };
+      series.set(key, { labels: picked, value: current.value + value });
+    }
+  };
+}
+
+/**
+ * Register a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @returns {Object} Histogram ({ observe(labels, value) })
+ */
+export function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map();
+
+  registry.push({
+    name,
+    help,
+    type: 'histogram',
+    render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) =>
+        `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+      ),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  });
+
+  return {
+    observe(labels = {}, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      // Buckets are cumulative: a value counts in every bucket it fits under
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+/**
+ * Register a gauge whose value is read when metrics are scraped
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - Returns a number, or an array of { labels, value }
+ */
+export function createGauge(name, help, collect) {
+  registry.push({
+    name,
+    help,
+    type: 'gauge',
+    render: () => {
+      const value = collect();
+      const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return samples.map(sample => `${name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  });
+}
+
+/**
+ * Render every registered metric in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+export function renderMetrics() {
+  return registry.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.render()
+  ].join('\n')).join('\n') + '\n';
+}
@@ -0,0 +1,229 @@
+import sharp from 'sharp';
+import { logInfo, logError } from './utils.js';
+
+// Overlay parts drawn when a request sends `overlay: true`
+const DEFAULT_OVERLAY = {
+  grid: true,
+  gridSpacing: null,
+  labels: true,
+  scaleBar: true,
+  crosshair: true,
+  caption: false
+};
+
+const OVERLAY_FLAGS = ['grid', 'labels', 'scaleBar', 'crosshair'];
+
+// Grid spacings and scale bar lengths in blocks, picked to suit the zoom level
+const NICE_DISTANCES = [16, 32, 64, 100, 250, 500, 1000, 2000, 2500, 5000, 10000, 20000, 50000];
+
+// Grid lines closer than this on screen make the map hard to read
+const MIN_GRID_PIXELS = 120;
+
+const MAX_CAPTION_LENGTH = 100;
+
+/**
+ * Validate overlay input
+ * @param {any} overlay - true/false, or an object of overlay options
+ * @returns {boolean} True if valid overlay options
+ */
+export function isValidOverlay(overlay) {
+  if (typeof overlay === 'boolean') {
+    return true;
+  }
+  if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+    return false;
+  }
+
+  return Object.entries(overlay).every(([key, value]) => {
+    if (OVERLAY_FLAGS.includes(key)) {
+      return typeof value === 'boolean';
+    }
+    if (key === 'gridSpacing') {
+      return Number.isInteger(value) && value >= 16 && value <= 100000;
+    }
+    if (key === 'caption') {
+      return typeof value === 'boolean' ||
+        (typeof value === 'string' &&
+          value.trim().length > 0 &&
+          value.length <= MAX_CAPTION_LENGTH &&
+          !/[\u0000-\u001f\u007f]/.test(value));
+    }
+    return false;
+  });
+}
+
+/**
+ * Normalize overlay input
+ * @param {boolean|Object} overlay - Overlay input that passed isValidOverlay
+ * @returns {Object|null} Complete overlay options, or null for no overlay
+ */
+export function normalizeOverlay(overlay) {
+  if (overlay === false) {
+    return null;
+  }
+  if (overlay === true) {
+    return { ...DEFAULT_OVERLAY };
+  }
+
+  const normalized = { ...DEFAULT_OVERLAY, ...overlay };
+  if (typeof normalized.caption === 'string') {
+    normalized.caption = normalized.caption.trim();
+  }
+  return normalized;
+}
+
+/**
+ * Escape text for use inside SVG
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Pick the grid spacing for a map resolution
+ * @param {number} pixelsPerBlock - Map resolution
+ * @returns {number} Spacing in blocks
+ */
+function pickGridSpacing(pixelsPerBlock) {
+  return NICE_DISTANCES.find(distance => distance * pixelsPerBlock >= MIN_GRID_PIXELS) ||
+    NICE_DISTANCES[NICE_DISTANCES.length - 1];
+}
+
+/**
+ * Pick a scale bar length of at most a quarter of the image width
+ * @param {number} width - Image width in pixels
+ * @param {number} pixelsPerBlock - Map resolution
+ * @returns {number} Length in blocks
+ */
+function pickScaleLength(width, pixelsPerBlock) {
+  const maxBlocks = (width / 4) / pixelsPerBlock;
+  return [...NICE_DISTANCES].reverse().find(distance => distance <= maxBlocks) || NICE_DISTANCES[0];
+}
+
+/**
+ * Format a block distance for labels
+ * @param {number} blocks - Distance in blocks
+ * @returns {string} Label text, e.g. "500" or "2k"
+ */
+function formatBlocks(blocks) {
+  return Math.abs(blocks) >= 1000 && blocks % 1000 === 0 ? `${blocks / 1000}k` : String(blocks);
+}
+
+/**
+ * Draw the overlay for a map image as SVG. World coordinates are placed with
+ * the same projection the crop used, so labels match the rendered terrain.
+ * @param {Object} params - Overlay parameters
+ * @param {number} params.width - Image width in pixels
+ * @param {number} params.height - Image height in pixels
+ * @param {Object} params.origin - World coordinate at the image's top-left pixel ({ x, z })
+ * @param {number} params.pixelsPerBlock - Map resolution
+ * @param {Object} params.overlay - Normalized overlay options, with the caption as text
+ * @returns {string} SVG markup the size of the image
+ */
+export function createOverlaySvg({ width, height, origin, pixelsPerBlock, overlay }) {
+  const toX = worldX => (worldX - origin.x) * pixelsPerBlock;
+  const toY = worldZ => (worldZ - origin.z) * pixelsPerBlock;
+
+  const fontSize = Math.min(48, Math.max(12, Math.round(Math.min(width, height) / 60)));
+  const stroke = Math.max(1, Math.round(fontSize / 12));
+  const margin = Math.round(fontSize * 0.75);
+  const textStyle = `font-family="sans-serif" font-size="${fontSize}" fill="#fff" stroke="#000" stroke-width="${stroke * 2}" paint-order="stroke"`;
+  const elements = [];
+
+  const spacing = overlay.gridSpacing || pickGridSpacing(pixelsPerBlock);
+  const worldEast = origin.x + width / pixelsPerBlock;
+  const worldSouth = origin.z + height / pixelsPerBlock;
+  const gridX = [];
+  const gridZ = [];
+  for (let x = Math.ceil(origin.x / spacing) * spacing; x <= worldEast; x += spacing) gridX.push(x);
+  for (let z = Math.ceil(origin.z / spacing) * spacing; z <= worldSouth; z += spacing) gridZ.push(z);
+
+  if (overlay.grid) {
+    const lines = [
+      ...gridX.map(x => `<line x1="${toX(x)}" y1="0" x2="${toX(x)}" y2="${height}"/>`),
+      ...gridZ.map(z => `<line x1="0" y1="${toY(z)}" x2="${width}" y2="${toY(z)}"/>`)
+    ];
+    elements.push(`<g stroke="#fff" stroke-opacity="0.35" stroke-width="${stroke}">${lines.join('')}</g>`);
+  }
+
+  if (overlay.labels) {
+    // X values along the top edge, Z values down the left edge, clear of
+    // the X labels above and the scale bar below
+    const labels = [
+      ...gridX.map(x => `<text x="${toX(x) + stroke * 2}" y="${fontSize}">${formatBlocks(x)}</text>`),
+      ...gridZ
+        .filter(z => toY(z) > fontSize * 2 && toY(z) < height - fontSize * 3)
+        .map(z => `<text x="${stroke * 2}" y="${toY(z) - stroke * 2}">${formatBlocks(z)}</text>`)
+    ];
+    elements.push(`<g ${textStyle}>${labels.join('')}</g>`);
+  }
+
+  if (overlay.crosshair) {
+    const x = toX(0);
+    const y = toY(0);
+    // Only draw the world origin when it is on the map
+    if (x >= 0 && x <= width && y >= 0 && y <= height) {
+      const arm = fontSize;
+      elements.push(
+        `<g stroke="#ff3b30" stroke-width="${stroke * 2}" fill="none">` +
+        `<line x1="${x - arm}" y1="${y}" x2="${x + arm}" y2="${y}"/>` +
+        `<line x1="${x}" y1="${y - arm}" x2="${x}" y2="${y + arm}"/>` +
+        `<circle cx="${x}" cy="${y}" r="${arm / 2}"/>` +
+        '</g>'
+      );
+    }
+  }
+
+  if (overlay.scaleBar) {
+    const blocks = pickScaleLength(width, pixelsPerBlock);
+    const barWidth = blocks * pixelsPerBlock;
+    const barHeight = Math.round(fontSize / 2);
+    const x = margin;
+    const y = height - margin - barHeight;
+    elements.push(
+      `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="#fff" stroke="#000" stroke-width="${stroke}"/>` +
+      `<rect x="${x}" y="${y}" width="${barWidth / 2}" height="${barHeight}" fill="#000"/>` +
+      `<text x="${x}" y="${y - stroke * 3}" ${textStyle}>${blocks} blocks</text>`
+    );
+  }
+
+  if (typeof overlay.caption === 'string') {
+    elements.push(
+      `<text x="${width - margin}" y="${height - margin}" text-anchor="end" ${textStyle}>${escapeXml(overlay.caption)}</text>`
+    );
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${elements.join('')}</svg>`;
+}
+
+/**
+ * Draw the overlay onto a finished map image
+ * @param {Buffer} imageBuffer - PNG image buffer
+ * @param {Object} params - Overlay parameters (see createOverlaySvg, without width and height)
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<Buffer>} PNG image buffer with the overlay
+ */
+export async function applyOverlay(imageBuffer, params, jobId) {
+  try {
+    const image = sharp(imageBuffer, { limitInputPixels: false });
+    const { width, height } = await image.metadata();
+    const svg = createOverlaySvg({ ...params, width, height });
+
+    logInfo('Drawing map overlay', { jobId, width, height, overlay: params.overlay });
+
+    return await image
+      .composite([{ input: Buffer.from(svg), top: 0, left: 0, limitInputPixels: false }])
+      .png()
+      .toBuffer();
+
+  } catch (error) {
+    logError('Overlay drawing failed', { jobId, error: error.message });
+    throw error;
+  }
+}
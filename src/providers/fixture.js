@@ -0,0 +1,80 @@
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { VIEWPORT, DEFAULT_ZOOM } from '../mapGeometry.js';
+import { logInfo, logWarn } from '../utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Static page that draws a deterministic map without any network access
+const FIXTURE_PAGE = pathToFileURL(path.join(__dirname, 'fixture', 'map.html')).href;
+
+// The fixture draws in one go, so anything slower than this means the page is broken
+const FIXTURE_READY_TIMEOUT_MS = 10000;
+
+/**
+ * Local fixture map, for exercising the whole pipeline offline
+ */
+export const fixtureProvider = {
+  name: 'fixture',
+  label: 'the local fixture map',
+
+  // The fixture page centers the map in the viewport
+  mapCenterPixel: { x: VIEWPORT.width / 2, y: VIEWPORT.height / 2 },
+
+  /**
+   * Build the fixture page URL
+   * @param {Object} params - Map parameters
+   * @param {string} params.seed - The Minecraft seed
+   * @param {string} params.dimension - The dimension (overworld, nether, end)
+   * @param {Object} params.center - World coordinate to center the view on ({ x, z })
+   * @param {number} params.zoom - Map zoom level (-3 to 0)
+   * @param {Array<string>} params.markers - Marker IDs to draw
+   * @returns {string} file:// URL of the fixture page
+   */
+  buildUrl({ seed, dimension, center = { x: 0, z: 0 }, zoom = DEFAULT_ZOOM, markers = [] }) {
+    // A query string rather than a hash, so panning between tiles reloads the page
+    const query = new URLSearchParams({
+      seed,
+      dimension,
+      x: center.x,
+      z: center.z,
+      l: zoom,
+      markers: markers.join(',')
+    });
+    return `${FIXTURE_PAGE}?${query}`;
+  },
+
+  /**
+   * Report which markers the fixture drew; there is nothing to dismiss or toggle
+   * @param {Object} page - Puppeteer page object, already on the map URL
+   * @param {Object} options - Preparation options
+   * @param {string} options.jobId - Job identifier for logging
+   * @param {Array<string>} options.markers - Marker IDs requested
+   * @param {Function} options.reportProgress - Reports each preparation step
+   * @returns {Promise<Object>} Marker IDs that were enabled and that failed ({ enabled, failed })
+   */
+  async preparePage(page, { jobId, markers, reportProgress }) {
+    reportProgress('markers');
+    logInfo('Using fixture map', { jobId, markers });
+    return { enabled: [...markers], failed: [] };
+  },
+
+  /**
+   * Wait for the fixture page to signal that it has drawn the map
+   * @param {Object} page - Puppeteer page object
+   * @param {Object} options - Wait options
+   * @param {string} options.jobId - Job identifier for logging
+   * @returns {Promise<Object>} Result ({ ready, loadTimeMs })
+   */
+  async waitForReady(page, { jobId }) {
+    const startedAt = Date.now();
+    try {
+      await page.waitForFunction(() => window.fixtureMap?.ready === true, { timeout: FIXTURE_READY_TIMEOUT_MS });
+      return { ready: true, loadTimeMs: Date.now() - startedAt };
+    } catch (error) {
+      logWarn('Fixture map did not signal ready, capturing anyway', { jobId, error: error.message });
+      return { ready: false, loadTimeMs: Date.now() - startedAt };
+    }
+  }
+};
@@ -0,0 +1,192 @@
+import { DEFAULT_ZOOM } from '../mapGeometry.js';
+import { waitForMapReady } from '../mapReadiness.js';
+import { STRUCTURE_MARKERS, logInfo, logWarn } from '../utils.js';
+
+/**
+ * Handle cookie banner on the page
+ * @param {Object} page - Puppeteer page object
+ * @param {string} jobId - Job identifier for logging
+ */
+async function handleCookieBanner(page, jobId) {
+  try {
+    logInfo('Checking for cookie banner...', { jobId });
+
+    // Click "Manage options" button
+    await page.click('button.fc-cta-manage-options');
+    logInfo('Clicked "Manage options"', { jobId });
+
+    // Wait for the options to appear
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    // Click "Confirm choices" button
+    await page.click('button.fc-confirm-choices');
+    logInfo('Clicked "Confirm choices"', { jobId });
+
+    // Wait for banner to disappear
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+  } catch (error) {
+    logWarn('Cookie banner not found or already handled', { jobId, error: error.message });
+  }
+}
+
+/**
+ * Toggle sidebar for clean view
+ * @param {Object} page - Puppeteer page object
+ * @param {string} jobId - Job identifier for logging
+ */
+async function toggleSidebar(page, jobId) {
+  try {
+    logInfo('Looking for toggle sidebar button...', { jobId });
+    await page.click('button[title="Toggle sidebar"]');
+    logInfo('Clicked toggle sidebar button', { jobId });
+
+    // Wait for sidebar to toggle
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+  } catch (error) {
+    logWarn('Toggle sidebar button not found', { jobId, error: error.message });
+  }
+}
+
+/**
+ * Enable the requested structure marker layers
+ * @param {Object} page - Puppeteer page object
+ * @param {string} jobId - Job identifier for logging
+ * @param {Array<string>} markers - Marker IDs to enable
+ * @returns {Promise<Object>} Marker IDs that were enabled and that failed to toggle
+ */
+async function configureMarkers(page, jobId, markers) {
+  const result = { enabled: [], failed: [] };
+
+  // A clean biome map needs no marker panel at all
+  if (markers.length === 0) {
+    return result;
+  }
+
+  try {
+    // Click on the Markers tab
+    logInfo('Looking for Markers tab...', { jobId });
+    await page.click('button[title="Markers"]');
+    logInfo('Clicked Markers tab', { jobId });
+
+    // Wait for markers panel to load
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  } catch (error) {
+    logWarn('Markers tab not found', { jobId, error: error.message });
+    result.failed.push(...markers);
+    return result;
+  }
+
+  for (const marker of markers) {
+    const label = STRUCTURE_MARKERS[marker];
+
+    try {
+      logInfo('Looking for marker button...', { jobId, marker, label });
+      const clicked = await page.evaluate((buttonLabel) => {
+        const buttons = Array.from(document.querySelectorAll('button'));
+        // Prefer an exact label over a button that merely contains it
+        const button = buttons.find(btn => btn.textContent.trim() === buttonLabel) ||
+          buttons.find(btn => btn.textContent.includes(buttonLabel));
+        if (button) {
+          button.click();
+          return true;
+        }
+        return false;
+      }, label);
+
+      if (clicked) {
+        result.enabled.push(marker);
+        logInfo('Clicked marker button', { jobId, marker });
+      } else {
+        result.failed.push(marker);
+        logWarn('Marker button not found', { jobId, marker, label });
+      }
+    } catch (error) {
+      result.failed.push(marker);
+      logWarn('Marker toggle failed', { jobId, marker, error: error.message });
+    }
+  }
+
+  // Wait for markers to appear
+  if (result.enabled.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  return result;
+}
+
+/**
+ * mcseedmap.net, the live seed map site
+ */
+export const mcseedmapProvider = {
+  name: 'mcseedmap',
+  label: 'mcseedmap.net',
+
+  // Screen pixel where the map's center coordinate lands once the sidebar is
+  // hidden, calibrated against the 3840x2160 viewport
+  mapCenterPixel: { x: 1720, y: 1120 },
+
+  /**
+   * Build the map URL
+   * @param {Object} params - Map parameters
+   * @param {string} params.seed - The Minecraft seed
+   * @param {string} params.dimension - The dimension (overworld, nether, end)
+   * @param {string} params.version - The game version (e.g. "1.21.5")
+   * @param {string} params.edition - The edition (java, bedrock)
+   * @param {Object} params.center - World coordinate to center the view on ({ x, z })
+   * @param {number} params.zoom - Map zoom level (-3 to 0)
+   * @param {boolean} params.tiled - Whether the page is panned between tiles
+   * @returns {string} Map URL
+   */
+  buildUrl({ seed, dimension, version, edition, center = { x: 0, z: 0 }, zoom = DEFAULT_ZOOM, tiled = false }) {
+    // The site names versions like "1.21.5-Java" and "1.21-Bedrock"
+    const editionName = edition.charAt(0).toUpperCase() + edition.slice(1);
+    const baseUrl = `https://mcseedmap.net/${version}-${editionName}/${seed}/${dimension}`;
+
+    // Tiles pan by changing only the hash, so every tile spells out its full
+    // view; leaving the origin out would keep the previous tile's position
+    const hashParams = [];
+    // The nether opens at the default zoom on its own
+    if (tiled || dimension !== 'nether' || zoom !== DEFAULT_ZOOM) {
+      hashParams.push(`l=${zoom}`);
+    }
+    // The site opens on 0,0 by default, so only pan when asked to
+    if (tiled || center.x !== 0 || center.z !== 0) {
+      hashParams.push(`x=${center.x}`, `z=${center.z}`);
+    }
+
+    return hashParams.length > 0 ? `${baseUrl}#${hashParams.join('&')}` : baseUrl;
+  },
+
+  /**
+   * Dismiss the cookie banner, hide the sidebar and enable the markers
+   * @param {Object} page - Puppeteer page object, already on the map URL
+   * @param {Object} options - Preparation options
+   * @param {string} options.jobId - Job identifier for logging
+   * @param {Array<string>} options.markers - Marker IDs to enable
+   * @param {Function} options.reportProgress - Reports each preparation step
+   * @returns {Promise<Object>} Marker IDs that were enabled and that failed ({ enabled, failed })
+   */
+  async preparePage(page, { jobId, markers, reportProgress }) {
+    reportProgress('cookies');
+    await handleCookieBanner(page, jobId);
+
+    reportProgress('sidebar');
+    await toggleSidebar(page, jobId);
+
+    reportProgress('markers');
+    return configureMarkers(page, jobId, markers);
+  },
+
+  /**
+   * Wait until the map tiles have finished drawing
+   * @param {Object} page - Puppeteer page object
+   * @param {Object} options - Wait options
+   * @param {string} options.jobId - Job identifier for logging
+   * @returns {Promise<Object>} Result ({ ready, loadTimeMs })
+   */
+  async waitForReady(page, { jobId }) {
+    return waitForMapReady(page, { jobId });
+  }
+};
@@ -0,0 +1,264 @@
+import { listJobs, findJobsByFile, getJobFiles, updateJob } from './jobStore.js';
+import { listImages, deleteImage } from './storage.js';
+import { logInfo, logError, formatFileSize } from './utils.js';
+
+// Set to "off" to stop the scheduled runs; POST /api/retention still works
+const RETENTION_ENABLED = process.env.RETENTION !== 'off';
+
+// Images older than this are deleted
+const IMAGE_TTL_HOURS = parseInt(process.env.IMAGE_TTL_HOURS) || 168;
+
+// Least recently accessed images are deleted while storage is above this; 0 means no limit
+const MAX_STORAGE_MB = parseInt(process.env.MAX_STORAGE_MB) || 0;
+
+const RETENTION_INTERVAL_MINUTES = parseInt(process.env.RETENTION_INTERVAL_MINUTES) || 60;
+
+// Accesses within this window of the last recorded one aren't written to the job store
+const ACCESS_RECORD_INTERVAL_MS = 60 * 1000;
+
+// Last recorded access per job ID, to throttle job store writes
+const recordedAccesses = new Map();
+
+// Latest run; the next one starts after it
+let lastRun = Promise.resolve();
+
+let scheduleTimer = null;
+
+/**
+ * Note that a job's image was handed out or downloaded, for least recently
+ * accessed eviction
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<void>}
+ */
+export async function recordImageAccess(jobId) {
+  const now = Date.now();
+  if (now - (recordedAccesses.get(jobId) || 0) < ACCESS_RECORD_INTERVAL_MS) {
+    return;
+  }
+  recordedAccesses.set(jobId, now);
+  await updateJob(jobId, { lastAccessedAt: new Date(now).toISOString() });
+}
+
+/**
+ * Note that a stored file was downloaded, recording an access for every
+ * ready job it belongs to
+ * @param {string} filename - Image filename
+ * @returns {Promise<void>}
+ */
+export async function recordFileAccess(filename) {
+  const jobs = await findJobsByFile(filename);
+  await Promise.all(jobs
+    .filter(job => job.status === 'ready')
+    .map(job => recordImageAccess(job.jobId)));
+}
+
+/**
+ * Group stored files into units that are deleted together: the files of
+ * ready jobs (identical requests share them), and every other file alone
+ * @param {Array} images - Files from listImages
+ * @param {Array} jobs - Jobs from listJobs
+ * @returns {Array<Object>} Groups ({ files, jobIds, bytes, modified, lastAccessedAt })
+ */
+export function groupStoredFiles(images, jobs) {
+  const imagesByName = new Map(images.map(image => [image.filename, image]));
+  const groupsByFile = new Map();
+
+  // Files of jobs still running may be overwritten by a refresh, so leave them alone
+  const busyCacheKeys = new Set(jobs
+    .filter(job => job.status === 'queued' || job.status === 'processing')
+    .map(job => job.cacheKey));
+
+  for (const job of jobs.filter(candidate => candidate.status === 'ready')) {
+    const files = getJobFiles(job).filter(filename => imagesByName.has(filename));
+    if (files.length === 0) {
+      continue;
+    }
+
+    const group = files.map(filename => groupsByFile.get(filename)).find(Boolean) ||
+      { files: new Set(), jobIds: [], busy: false, lastAccessedAt: 0 };
+    files.forEach(filename => {
+      group.files.add(filename);
+      groupsByFile.set(filename, group);
+    });
+    group.jobIds.push(job.jobId);
+    group.busy = group.busy || busyCacheKeys.has(job.cacheKey);
+    group.lastAccessedAt = Math.max(
+      group.lastAccessedAt,
+      new Date(job.lastAccessedAt || job.completedAt || 0).getTime()
+    );
+  }
+
+  for (const image of images) {
+    if (!groupsByFile.has(image.filename)) {
+      groupsByFile.set(image.filename, { files: new Set([image.filename]), jobIds: [], busy: false, lastAccessedAt: 0 });
+    }
+  }
+
+  return [...new Set(groupsByFile.values())]
+    .filter(group => !group.busy)
+    .map(group => {
+      const groupImages = [...group.files].map(filename => imagesByName.get(filename));
+      const modified = Math.max(...groupImages.map(image => new Date(image.modified).getTime()));
+      return {
+        files: [...group.files],
+        jobIds: group.jobIds,
+        bytes: groupImages.reduce((sum, image) => sum + image.size, 0),
+        modified,
+        // Files nobody has asked for since they were written count as accessed then
+        lastAccessedAt: Math.max(group.lastAccessedAt, modified)
+      };
+    });
+}
+
+/**
+ * Pick the groups to delete: everything past the TTL, then the least
+ * recently accessed until storage fits under the limit
+ * @param {Array<Object>} groups - Groups from groupStoredFiles
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} Groups to delete, each with a reason (ttl or disk)
+ */
+export function selectGroupsToRemove(groups, now) {
+  const ttlMs = IMAGE_TTL_HOURS * 60 * 60 * 1000;
+  const expired = groups
+    .filter(group => now - group.modified > ttlMs)
+    .map(group => ({ ...group, reason: 'ttl' }));
+
+  const remaining = groups
+    .filter(group => now - group.modified <= ttlMs)
+    .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+  let totalBytes = remaining.reduce((sum, group) => sum + group.bytes, 0);
+
+  const evicted = [];
+  const maxBytes = MAX_STORAGE_MB * 1024 * 1024;
+  while (maxBytes > 0 && totalBytes > maxBytes && remaining.length > 0) {
+    const group = remaining.shift();
+    totalBytes -= group.bytes;
+    evicted.push({ ...group, reason: 'disk' });
+  }
+
+  return [...expired, ...evicted];
+}
+
+/**
+ * Apply the retention policy once
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @returns {Promise<Object>} Report of removed files and expired jobs
+ */
+async function applyRetention({ dryRun }) {
+  const startedAt = Date.now();
+
+  // Jobs are listed first so every ready job's files were written before the file listing
+  const jobs = await listJobs();
+  const images = (await listImages()).filter(image => image.size !== undefined);
+  const storedFiles = new Set(images.map(image => image.filename));
+
+  const removed = selectGroupsToRemove(groupStoredFiles(images, jobs), startedAt);
+  const expiredJobs = removed.flatMap(group => group.jobIds.map(jobId => ({ jobId, reason: group.reason })));
+
+  // Ready jobs whose image was deleted some other way can't be served either
+  jobs
+    .filter(job => job.status === 'ready' && job.filename && !storedFiles.has(job.filename))
+    .filter(job => !expiredJobs.some(expired => expired.jobId === job.jobId))
+    .forEach(job => expiredJobs.push({ jobId: job.jobId, reason: 'missing' }));
+
+  const failedFiles = [];
+  if (!dryRun) {
+    for (const group of removed) {
+      for (const filename of group.files) {
+        if (!(await deleteImage(filename))) {
+          failedFiles.push(filename);
+        }
+      }
+    }
+
+    // Jobs whose files couldn't all be deleted stay ready until a later run manages it
+    const keptJobIds = new Set(removed
+      .filter(group => group.files.some(filename => failedFiles.includes(filename)))
+      .flatMap(group => group.jobIds));
+    const expiredAt = new Date().toISOString();
+    for (const { jobId, reason } of expiredJobs.filter(expired => !keptJobIds.has(expired.jobId))) {
+      await updateJob(jobId, { status: 'expired', expiredAt, expiredReason: reason });
+    }
+  }
+
+  const freedBytes = removed.reduce((sum, group) => sum + group.bytes, 0);
+  const storedBytes = images.reduce((sum, image) => sum + image.size, 0);
+  const report = {
+    dryRun,
+    ranAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    policy: {
+      ttlHours: IMAGE_TTL_HOURS,
+      maxStorageBytes: MAX_STORAGE_MB * 1024 * 1024 || null
+    },
+    removedFiles: removed.reduce((sum, group) => sum + group.files.length, 0),
+    freedBytes,
+    freedFormatted: formatFileSize(freedBytes),
+    expiredJobCount: expiredJobs.length,
+    storage: {
+      before: { files: images.length, bytes: storedBytes },
+      after: {
+        files: images.length - removed.reduce((sum, group) => sum + group.files.length, 0),
+        bytes: storedBytes - freedBytes
+      }
+    },
+    removed: removed.map(group => ({
+      reason: group.reason,
+      files: group.files,
+      bytes: group.bytes,
+      jobIds: group.jobIds,
+      lastAccessedAt: new Date(group.lastAccessedAt).toISOString()
+    })),
+    expiredJobs,
+    ...(failedFiles.length > 0 && { failedFiles })
+  };
+
+  logInfo('Retention policy applied', {
+    dryRun,
+    removedFiles: report.removedFiles,
+    freed: report.freedFormatted,
+    expiredJobs: expiredJobs.length,
+    failedFiles: failedFiles.length,
+    durationMs: report.durationMs
+  });
+
+  return report;
+}
+
+/**
+ * Delete images past the TTL or over the storage limit and mark their jobs
+ * expired. Runs are queued so scheduled and manual runs never overlap.
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @returns {Promise<Object>} Report of removed files and expired jobs
+ */
+export function runRetention({ dryRun = false } = {}) {
+  const run = lastRun.catch(() => {}).then(() => applyRetention({ dryRun }));
+  lastRun = run;
+  return run;
+}
+
+/**
+ * Run the retention policy now and then every RETENTION_INTERVAL_MINUTES
+ */
+export function startRetentionSchedule() {
+  if (!RETENTION_ENABLED || scheduleTimer) {
+    return;
+  }
+
+  const run = () => runRetention().catch(error => {
+    logError('Scheduled retention run failed', { error: error.message });
+  });
+
+  // The timer shouldn't keep the process alive on its own
+  scheduleTimer = setInterval(run, RETENTION_INTERVAL_MINUTES * 60 * 1000);
+  scheduleTimer.unref();
+  run();
+
+  logInfo('Retention schedule started', {
+    ttlHours: IMAGE_TTL_HOURS,
+    maxStorageMb: MAX_STORAGE_MB || null,
+    intervalMinutes: RETENTION_INTERVAL_MINUTES
+  });
+}
@@ -1,104 +1,348 @@
-import puppeteer from 'puppeteer';
 import sharp from 'sharp';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { saveImage, getImageUrl } from './storage.js';
-import { generateJobId, logInfo, logError, logWarn } from './utils.js';
+import { saveImage, getImageUrl, imageExists, deleteImage } from './storage.js';
+import { acquirePage } from './browserPool.js';
+import { encodeOutputs, getFileExtension } from './imageOutputs.js';
+import { applyOverlay } from './overlay.js';
+import { classifyGenerationError } from './generationErrors.js';
+import { getMapProvider } from './mapProviders.js';
+import { validateMapImage, createValidationError } from './imageValidation.js';
+import { createHistogram } from './metrics.js';
+import {
+  VIEWPORT,
+  DEFAULT_ZOOM,
+  calculateCrop,
+  getCropBounds,
+  getCropOrigin,
+  getOutputDimensions,
+  getPixelsPerBlock
+} from './mapGeometry.js';
+import {
+  planTiles,
+  captureTiles,
+  stitchTiles,
+  createTileDirectory,
+  removeTileDirectory
+} from './tiles.js';
+import {
+  generateJobId,
+  getDefaultVersion,
+  DEFAULT_MARKERS,
+  DEFAULT_FORMATS,
+  DEFAULT_QUALITY,
+  resolveMapArea,
+  logInfo,
+  logError,
+  logWarn
+} from './utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Where generated files go unless the caller brings its own store
+const serviceStore = { saveImage, getImageUrl, imageExists, deleteImage };
+
+const stepDuration = createHistogram(
+  'mc_map_generation_step_duration_seconds',
+  'Time spent in each map generation step, including failed and cancelled attempts',
+  ['step']
+);
+
+// Generation steps in order, with the overall percent reached when each starts.
+// Tiled captures run the tiles step in place of screenshot.
+export const PROGRESS_STEPS = {
+  browser: { percent: 5, message: 'Acquiring browser page' },
+  navigate: { percent: 10, message: 'Navigating to the map' },
+  cookies: { percent: 25, message: 'Handling cookie banner' },
+  sidebar: { percent: 30, message: 'Hiding sidebar' },
+  markers: { percent: 35, message: 'Configuring structure markers' },
+  waiting: { percent: 45, message: 'Waiting for map to load' },
+  screenshot: { percent: 70, message: 'Taking screenshot' },
+  tiles: { percent: 50, message: 'Capturing map tiles' },
+  processing: { percent: 85, message: 'Processing image' },
+  validating: { percent: 88, message: 'Checking map image' },
+  encoding: { percent: 90, message: 'Encoding output formats' },
+  saving: { percent: 95, message: 'Saving image' }
+};
+
+// Tile captures fill the range between the tiles and processing steps
+const TILE_PROGRESS_RANGE = PROGRESS_STEPS.processing.percent - PROGRESS_STEPS.tiles.percent;
+
 /**
  * Generate a Minecraft map screenshot using Puppeteer
- * @param {string} seed - The Minecraft seed
+ * @param {string} seed - The resolved numeric seed (see normalizeSeed)
  * @param {string} dimension - The dimension (overworld, nether, end)
  * @param {string} jobId - Unique job identifier
- * @param {number} size - The size (2-16, representing 2k-16k)
+ * @param {number|null} size - The size (2-64, representing 2k-64k), or null for a bounding box
  * @param {boolean} debug - Whether to save the original screenshot
- * @returns {Promise<Object>} Job result with status and image URL
+ * @param {Object} options - Additional render options
+ * @param {string} options.version - The game version (e.g. "1.21.5")
+ * @param {string} options.edition - The edition (java, bedrock)
+ * @param {Array<string>} options.markers - Structure marker IDs to enable
+ * @param {Object} options.area - World area to render (defaults to `size` around 0,0)
+ * @param {number} options.zoom - Map zoom level, each level above -3 doubles the detail
+ * @param {boolean} options.tiled - Capture the area as stitched tiles instead of one screenshot
+ * @param {string} options.provider - Map provider name (see mapProviders.js)
+ * @param {Function} options.onProgress - Called with progress updates ({ step, message, percent, ... })
+ * @param {string|number} options.seedInput - The seed as the client sent it, for metadata
+ * @param {Array<string>} options.formats - Output formats, the first is the main image
+ * @param {number} options.quality - Quality for lossy formats and the thumbnail (1-100)
+ * @param {number|null} options.thumbnail - Longest thumbnail side in pixels, or null for none
+ * @param {Object|null} options.overlay - Normalized overlay options, or null for a plain map
+ * @param {string} options.cacheKey - Request cache key, used to name the output files
+ * @param {AbortSignal} options.signal - Cancels the run at the next step boundary
+ * @param {Object} options.store - Image store ({ saveImage, getImageUrl, imageExists, deleteImage }), defaults to the service storage
+ * @returns {Promise<Object>} Job result with status, image URL and every output
  */
-export async function generateMap(seed, dimension, jobId, size = 8, debug = false) {
-  let browser;
+export async function generateMap(seed, dimension, jobId, size = 8, debug = false, options = {}) {
+  const {
+    version = getDefaultVersion('java'),
+    edition = 'java',
+    markers = DEFAULT_MARKERS,
+    area = resolveMapArea({ size }),
+    zoom = DEFAULT_ZOOM,
+    tiled = false,
+    provider: providerName,
+    seedInput = seed,
+    formats = DEFAULT_FORMATS,
+    quality = DEFAULT_QUALITY,
+    thumbnail = null,
+    overlay = null,
+    onProgress = () => {},
+    signal = null,
+    store = serviceStore
+  } = options;
+  const provider = getMapProvider(providerName);
+  // Bounding box requests have no size
+  const sizeLabel = size ? `${size}k` : 'custom';
+  // `caption: true` asks for the default caption
+  const overlayOptions = overlay && {
+    ...overlay,
+    caption: overlay.caption === true
+      ? buildCaption({ seed, seedInput, dimension, edition, version })
+      : overlay.caption
+  };
+  let release;
+  let tileDirectory;
+  let rejectedFilename;
+  // Failures are classified by the step that was running
+  let currentStep = null;
+  let stepStartedAt = null;
+  // Files this run created, deleted again if it is cancelled
+  const createdFiles = [];
+  
+  const finishStep = () => {
+    if (currentStep) {
+      stepDuration.observe({ step: currentStep }, (Date.now() - stepStartedAt) / 1000);
+    }
+  };
+  
+  // Every step boundary is a cancellation point
+  const reportProgress = (step, details = {}) => {
+    signal?.throwIfAborted();
+    // Tile progress repeats the same step, which is timed as a whole
+    if (step !== currentStep) {
+      finishStep();
+      stepStartedAt = Date.now();
+    }
+    currentStep = step;
+    onProgress({ step, ...PROGRESS_STEPS[step], ...details });
+  };
+  
+  const saveFile = async (buffer, filename) => {
+    signal?.throwIfAborted();
+    // Identical requests share files, so only files that didn't exist yet are ours to delete
+    const existed = await store.imageExists(filename);
+    const location = await store.saveImage(buffer, filename);
+    if (!existed) {
+      createdFiles.push(filename);
+    }
+    return location;
+  };
   
   try {
-    logInfo('Starting map generation', { seed, dimension, jobId, size, debug });
+    logInfo('Starting map generation', { seed, dimension, jobId, size, debug, version, edition, zoom, tiled, provider: provider.name });
     
-    // Launch browser with optimized settings
-    logInfo('Launching browser...', { jobId });
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ]
-    });
+    // Get a fresh page from a warm pooled browser
+    logInfo('Acquiring browser page...', { jobId });
+    reportProgress('browser');
+    const lease = await acquirePage(jobId);
+    release = lease.release;
+    const page = lease.page;
     
-    const page = await browser.newPage();
+    // Closing the page makes any browser call in flight fail right away
+    signal?.addEventListener('abort', () => {
+      release().catch(() => {});
+    }, { once: true });
+    signal?.throwIfAborted();
     
     // Set viewport for consistent screenshot size
-    await page.setViewport({ width: 3840, height: 2160 });
+    await page.setViewport(VIEWPORT);
     
-    // Build URL with dimension in the path
-    const url = dimension === 'nether' 
-      ? `https://mcseedmap.net/1.21.5-Java/${seed}/${dimension}`
-      : `https://mcseedmap.net/1.21.5-Java/${seed}/${dimension}#l=-3`;
+    // Build the provider's URL for the map, panned to the area's center
+    const buildUrl = center => provider.buildUrl({ seed, dimension, version, edition, center, zoom, markers, tiled });
+    const url = buildUrl({ x: area.centerX, z: area.centerZ });
     
-    logInfo('Navigating to mcseedmap.net', { jobId, url });
+    logInfo(`Navigating to ${provider.label}`, { jobId, url });
+    reportProgress('navigate', { message: `Navigating to ${provider.label}` });
     await page.goto(url, { 
       waitUntil: 'networkidle2',
       timeout: 30000 
     });
     
-    // Handle cookie banner
-    await handleCookieBanner(page, jobId);
+    // Get the page ready to capture and enable the requested structure markers
+    const markerResult = await provider.preparePage(page, { jobId, markers, reportProgress });
     
-    // Toggle sidebar for clean view
-    await toggleSidebar(page, jobId);
+    // Wait until the map has stopped changing
+    logInfo('Waiting for map to load...', { jobId });
+    reportProgress('waiting');
+    const load = await provider.waitForReady(page, { jobId });
+    let loadTimeMs = load.loadTimeMs;
+    let loadTimedOut = !load.ready;
     
-    // Configure markers for better map display
-    await configureMarkers(page, jobId);
+    let processedImage, bounds, screenshotBuffer, overlayOrigin;
+    let originalFilename, originalFilePath, originalImageUrl;
     
-    // Wait for map to fully load
-    logInfo('Waiting for map to load...', { jobId });
-    await new Promise(resolve => setTimeout(resolve, 10000));
+    if (tiled) {
+      // Pan across the area and stitch the tiles into one image
+      const tiles = planTiles(area, zoom);
+      const output = getOutputDimensions(area, zoom);
+      tileDirectory = await createTileDirectory();
+      
+      logInfo('Capturing map tiles...', { jobId, tileCount: tiles.length, output });
+      reportProgress('tiles', { tilesCompleted: 0, totalTiles: tiles.length });
+      const capturedTiles = await captureTiles(page, tiles, {
+        jobId,
+        zoom,
+        workDir: tileDirectory,
+        centerPixel: provider.mapCenterPixel,
+        navigate: center => page.goto(buildUrl(center), { waitUntil: 'networkidle2', timeout: 30000 }),
+        waitForReady: () => provider.waitForReady(page, { jobId }),
+        onTile: (completed, total) => reportProgress('tiles', {
+          message: `Captured tile ${completed} of ${total}`,
+          percent: PROGRESS_STEPS.tiles.percent + Math.round(TILE_PROGRESS_RANGE * completed / total),
+          tilesCompleted: completed,
+          totalTiles: total
+        })
+      });
+      
+      // Every tile waits for the map to render after panning
+      capturedTiles.forEach(tile => {
+        loadTimeMs += tile.loadTimeMs;
+        loadTimedOut = loadTimedOut || !tile.ready;
+      });
+      
+      reportProgress('processing');
+      processedImage = await stitchTiles(capturedTiles, output.width, output.height, jobId);
+      
+      // Stitched images start exactly at the area's north-west corner
+      overlayOrigin = { x: area.minX, z: area.minZ };
+      
+      const pixelsPerBlock = getPixelsPerBlock(zoom);
+      bounds = {
+        west: area.minX,
+        east: area.minX + Math.round(output.width / pixelsPerBlock),
+        north: area.minZ,
+        south: area.minZ + Math.round(output.height / pixelsPerBlock)
+      };
+    } else {
+      // Take screenshot
+      logInfo('Taking screenshot...', { jobId });
+      reportProgress('screenshot');
+      screenshotBuffer = await page.screenshot({
+        fullPage: true,
+        type: 'png'
+      });
+      
+      // Save the original screenshot if debug mode is enabled
+      if (debug) {
+        originalFilename = `seed-${seed}-${dimension}-${sizeLabel}-${edition}-${version}-original-${Date.now()}.png`;
+        originalFilePath = await saveFile(screenshotBuffer, originalFilename);
+        originalImageUrl = await store.getImageUrl(originalFilename);
+        logInfo('Original screenshot saved (debug mode)', { jobId, originalFilename });
+      }
+      
+      // Process the cropped image
+      reportProgress('processing');
+      processedImage = await processImage(screenshotBuffer, dimension, jobId, size, area, zoom, provider);
+      
+      // The overlay is projected from the crop origin so labels match the terrain
+      const crop = calculateCrop(area, zoom, provider.mapCenterPixel);
+      overlayOrigin = getCropOrigin(area, crop, zoom, provider.mapCenterPixel);
+      bounds = getCropBounds(area, crop, zoom, provider.mapCenterPixel);
+    }
     
-    // Take screenshot
-    logInfo('Taking screenshot...', { jobId });
-    const screenshotBuffer = await page.screenshot({
-      fullPage: true,
-      type: 'png'
+    // Reject blank, obstructed and wrong-dimension maps instead of reporting them ready
+    reportProgress('validating');
+    const validation = await validateMapImage(processedImage, {
+      dimension,
+      expected: getOutputDimensions(area, zoom),
+      jobId
     });
+    if (!validation.valid) {
+      if (debug) {
+        rejectedFilename = `seed-${seed}-${dimension}-${sizeLabel}-${edition}-${version}-rejected-${Date.now()}.png`;
+        await saveFile(processedImage, rejectedFilename);
+        logInfo('Rejected image saved (debug mode)', { jobId, rejectedFilename });
+      }
+      throw createValidationError(validation);
+    }
     
-    // Save the original screenshot if debug mode is enabled
-    let originalFilename, originalFilePath, originalImageUrl;
-    if (debug) {
-      originalFilename = `seed-${seed}-${dimension}-${size}k-original-${Date.now()}.png`;
-      originalFilePath = await saveImage(screenshotBuffer, originalFilename);
-      originalImageUrl = getImageUrl(originalFilename);
-      logInfo('Original screenshot saved (debug mode)', { jobId, originalFilename });
+    // Labels and the grid are drawn only once the map itself has passed validation
+    if (overlayOptions) {
+      processedImage = await applyOverlay(processedImage, {
+        origin: overlayOrigin,
+        pixelsPerBlock: getPixelsPerBlock(zoom),
+        overlay: overlayOptions
+      }, jobId);
+    }
+    
+    reportProgress('encoding');
+    const encoded = await encodeOutputs(processedImage, { formats, quality, thumbnail }, jobId);
+    
+    // Identical requests share files; fall back to a timestamp without a key
+    const fileSuffix = options.cacheKey ? options.cacheKey.slice(0, 16) : Date.now();
+    const baseFilename = `seed-${seed}-${dimension}-${sizeLabel}-${edition}-${version}-${fileSuffix}`;
+    reportProgress('saving');
+    
+    const saveOutput = async (image, filename) => {
+      await saveFile(image.buffer, filename);
+      return {
+        format: image.format,
+        filename,
+        url: await store.getImageUrl(filename),
+        bytes: image.buffer.length,
+        width: image.width,
+        height: image.height
+      };
+    };
+    
+    const outputs = [];
+    for (const image of encoded.images) {
+      outputs.push(await saveOutput(image, `${baseFilename}.${getFileExtension(image.format)}`));
     }
+    const thumbnailOutput = encoded.thumbnail &&
+      await saveOutput(encoded.thumbnail, `${baseFilename}-thumb.${getFileExtension(encoded.thumbnail.format)}`);
+    
+    signal?.throwIfAborted();
     
-    // Process and save the cropped image
-    const processedImage = await processImage(screenshotBuffer, dimension, jobId, size);
-    const filename = `seed-${seed}-${dimension}-${size}k-${Date.now()}.png`;
-    const filePath = await saveImage(processedImage, filename);
-    const imageUrl = getImageUrl(filename);
+    // The first format is the main image
+    const { filename, url: imageUrl, bytes: fileSize } = outputs[0];
+    const output = getOutputDimensions(area, zoom);
     
     logInfo('Map generation completed successfully', {
       jobId,
       filename,
       imageUrl,
-      ...(debug && {
+      formats,
+      ...(thumbnailOutput && { thumbnailFilename: thumbnailOutput.filename }),
+      ...(originalFilename && {
         originalFilename,
         originalImageUrl,
         originalFileSize: screenshotBuffer.length
       }),
-      fileSize: processedImage.length
+      fileSize
     });
     
     return {
@@ -107,28 +351,68 @@ export async function generateMap(seed, dimension, jobId, size = 8, debug = fals
       status: 'ready',
       imageUrl,
       filename,
-      ...(debug && {
+      outputs,
+      ...(thumbnailOutput && { thumbnail: thumbnailOutput }),
+      ...(originalFilename && {
         originalImageUrl,
         originalFilename
       }),
       metadata: {
         seed,
+        seedInput,
         dimension,
-        size: `${size}k`,
+        size: sizeLabel,
+        version,
+        edition,
+        provider: provider.name,
+        markers: {
+          requested: markers,
+          enabled: markerResult.enabled,
+          failed: markerResult.failed
+        },
         generatedAt: new Date().toISOString(),
-        fileSize: `${Math.round(processedImage.length / 1024)}KB`,
-        ...(debug && {
+        fileSize: `${Math.round(fileSize / 1024)}KB`,
+        ...(originalFilename && {
           originalFileSize: `${Math.round(screenshotBuffer.length / 1024)}KB`
         }),
-        dimensions: `${Math.round(size * 125)}x${Math.round(size * 125)}`
+        dimensions: `${output.width}x${output.height}`,
+        zoom,
+        pixelsPerBlock: getPixelsPerBlock(zoom),
+        capture: tiled ? 'tiled' : 'single',
+        loadTimeMs,
+        ...(loadTimedOut && { loadTimedOut }),
+        ...(validation.stats && { validation: validation.stats }),
+        center: { x: area.centerX, z: area.centerZ },
+        bounds,
+        ...(overlayOptions && { overlay: overlayOptions })
       }
     };
     
   } catch (error) {
+    if (signal?.aborted) {
+      logInfo('Map generation cancelled', { jobId, step: currentStep, createdFiles });
+      await Promise.all(createdFiles.map(file => store.deleteImage(file)));
+      
+      return {
+        success: false,
+        jobId,
+        status: 'cancelled',
+        error: 'JOB_CANCELLED',
+        message: 'Map generation was cancelled',
+        step: currentStep,
+        retryable: false
+      };
+    }
+    
+    const failure = classifyGenerationError(error, currentStep);
+    
     logError('Map generation failed', {
       jobId,
       seed,
       dimension,
+      step: failure.step,
+      code: failure.code,
+      retryable: failure.retryable,
       error: error.message
     });
     
@@ -136,104 +420,44 @@ export async function generateMap(seed, dimension, jobId, size = 8, debug = fals
       success: false,
       jobId,
       status: 'failed',
-      error: 'GENERATION_FAILED',
+      error: failure.code,
       message: `Failed to generate map: ${error.message}`,
-      retryable: true
+      step: failure.step,
+      retryable: failure.retryable,
+      ...(error.validation && { validation: error.validation }),
+      ...(rejectedFilename && {
+        rejectedFilename,
+        rejectedImageUrl: await store.getImageUrl(rejectedFilename)
+      })
     };
     
   } finally {
-    if (browser) {
+    finishStep();
+    if (tileDirectory) {
+      await removeTileDirectory(tileDirectory).catch(error => {
+        logWarn('Error removing tile directory', { jobId, error: error.message });
+      });
+    }
+    if (release) {
       try {
-        await browser.close();
-        logInfo('Browser closed', { jobId });
+        await release();
       } catch (error) {
-        logWarn('Error closing browser', { jobId, error: error.message });
+        logWarn('Error releasing browser page', { jobId, error: error.message });
       }
     }
   }
 }
 
 /**
- * Handle cookie banner on the page
- * @param {Object} page - Puppeteer page object
- * @param {string} jobId - Job identifier for logging
+ * Build the default overlay caption for a map
+ * @param {Object} params - Map parameters
+ * @returns {string} Caption text, e.g. "Seed glacier (108181935) · overworld · Java 1.21.5"
  */
-async function handleCookieBanner(page, jobId) {
-  try {
-    logInfo('Checking for cookie banner...', { jobId });
-    
-    // Click "Manage options" button
-    await page.click('button.fc-cta-manage-options');
-    logInfo('Clicked "Manage options"', { jobId });
-    
-    // Wait for the options to appear
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Click "Confirm choices" button
-    await page.click('button.fc-confirm-choices');
-    logInfo('Clicked "Confirm choices"', { jobId });
-    
-    // Wait for banner to disappear
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-  } catch (error) {
-    logWarn('Cookie banner not found or already handled', { jobId, error: error.message });
-  }
-}
-
-/**
- * Toggle sidebar for clean view
- * @param {Object} page - Puppeteer page object
- * @param {string} jobId - Job identifier for logging
- */
-async function toggleSidebar(page, jobId) {
-  try {
-    logInfo('Looking for toggle sidebar button...', { jobId });
-    await page.click('button[title="Toggle sidebar"]');
-    logInfo('Clicked toggle sidebar button', { jobId });
-    
-    // Wait for sidebar to toggle
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-  } catch (error) {
-    logWarn('Toggle sidebar button not found', { jobId, error: error.message });
-  }
-}
-
-/**
- * Configure markers for better map display
- * @param {Object} page - Puppeteer page object
- * @param {string} jobId - Job identifier for logging
- */
-async function configureMarkers(page, jobId) {
-  try {
-    // Click on the Markers tab
-    logInfo('Looking for Markers tab...', { jobId });
-    await page.click('button[title="Markers"]');
-    logInfo('Clicked Markers tab', { jobId });
-    
-    // Wait for markers panel to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Click on the Village button
-    logInfo('Looking for Village button...', { jobId });
-    await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll('button'));
-      const villageButton = buttons.find(btn => btn.textContent.includes('Village'));
-      if (villageButton) {
-        villageButton.click();
-        return true;
-      }
-      return false;
-    });
-    logInfo('Clicked Village button', { jobId });
-    
-    // Wait for village markers to appear
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-  } catch (error) {
-    logWarn('Marker configuration failed', { jobId, error: error.message });
-  }
+function buildCaption({ seed, seedInput, dimension, edition, version }) {
+  const input = String(seedInput).trim();
+  const seedText = input === seed ? seed : `${input} (${seed})`;
+  const editionName = edition.charAt(0).toUpperCase() + edition.slice(1);
+  return `Seed ${seedText} · ${dimension} · ${editionName} ${version}`;
 }
 
 /**
@@ -241,44 +465,32 @@ async function configureMarkers(page, jobId) {
  * @param {Buffer} screenshotBuffer - Raw screenshot buffer
  * @param {string} dimension - The dimension type
  * @param {string} jobId - Job identifier for logging
- * @param {number} size - The size (2-16, representing 2k-16k)
+ * @param {number} size - The size (2-64, representing 2k-64k)
+ * @param {Object} area - World area the screenshot is centered on
+ * @param {number} zoom - Map zoom level the screenshot was taken at
+ * @param {Object} provider - Map provider the screenshot was taken from
  * @returns {Promise<Buffer>} Processed image buffer
  */
-async function processImage(screenshotBuffer, dimension, jobId, size = 8) {
+export async function processImage(screenshotBuffer, dimension, jobId, size = 8, area = resolveMapArea({ size }), zoom = DEFAULT_ZOOM, provider = getMapProvider()) {
   try {
     logInfo('Processing image...', { jobId, dimension, size });
     
-    // Calculate crop parameters using the correct formula
-    // Base coordinates for 16k: left: 720, top: 120
-    // For each k reduction: add 62.5px to left/top (half of 125px)
-    // Size is simply k × 125
-    const left = Math.round(720 + (16 - size) * 62.5);
-    const top = Math.round(120 + (16 - size) * 62.5);
-    const width = Math.round(size * 125);
-    const height = Math.round(size * 125);
-    
-    const cropParams = {
-      left,
-      top,
-      width,
-      height
-    };
-    
-    // Final size matches the crop dimensions
-    const finalSize = width;
+    // Crop the requested area out of the view centered on it.
+    // For a 16k mcseedmap map around 0,0 this is left: 720, top: 120, 2000x2000
+    const cropParams = calculateCrop(area, zoom, provider.mapCenterPixel);
     
     logInfo('Cropping and resizing image', {
       jobId,
       dimension,
       size,
-      cropParams,
-      finalSize
+      area,
+      cropParams
     });
     
-    // Process the image with Sharp
+    // Process the image with Sharp; the output keeps the crop dimensions
     const processedBuffer = await sharp(screenshotBuffer)
       .extract(cropParams)
-      .resize(finalSize, finalSize)
+      .resize(cropParams.width, cropParams.height)
       .png()
       .toBuffer();
     
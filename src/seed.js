@@ -0,0 +1,79 @@
+// Minecraft seeds are Java longs
+const MIN_SEED = -(2n ** 63n);
+const MAX_SEED = 2n ** 63n - 1n;
+
+// Longest seed the Create World screen accepts
+const MAX_SEED_LENGTH = 32;
+
+// Control characters can't be typed into the game and break logs and filenames
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/;
+
+const NUMERIC_SEED = /^[+-]?\d+$/;
+
+/**
+ * Hash a string the way Java's String.hashCode does
+ * @param {string} text - Text to hash
+ * @returns {number} Signed 32-bit hash
+ */
+export function javaStringHashCode(text) {
+  let hash = 0;
+  // Java hashes UTF-16 code units, which is what charCodeAt returns
+  for (let i = 0; i < text.length; i++) {
+    hash = (Math.imul(31, hash) + text.charCodeAt(i)) | 0;
+  }
+  return hash;
+}
+
+/**
+ * Check seed input and explain why it can't be used
+ * @param {any} input - Seed from the request
+ * @returns {string|null} Error message, or null if the seed is valid
+ */
+export function getSeedError(input) {
+  if (typeof input === 'number') {
+    // Larger JSON numbers have already lost precision by the time they get here
+    return Number.isSafeInteger(input)
+      ? null
+      : 'Numeric seeds must be safe integers; send larger seeds as strings';
+  }
+
+  if (typeof input !== 'string' || input.trim().length === 0) {
+    return 'Seed is required and must be a valid string or number';
+  }
+
+  const text = input.trim();
+
+  if (text.length > MAX_SEED_LENGTH) {
+    return `Seed must be at most ${MAX_SEED_LENGTH} characters`;
+  }
+
+  if (UNSAFE_CHARACTERS.test(text)) {
+    return 'Seed must not contain control characters';
+  }
+
+  if (NUMERIC_SEED.test(text)) {
+    const value = BigInt(text);
+    if (value < MIN_SEED || value > MAX_SEED) {
+      return `Numeric seeds must be between ${MIN_SEED} and ${MAX_SEED}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve seed input to the numeric seed Minecraft would use: whole numbers
+ * are parsed as 64-bit longs and anything else is hashed with String.hashCode
+ * @param {string|number} input - Seed that passed getSeedError
+ * @returns {Object} Resolved seed ({ seed, input, type })
+ */
+export function normalizeSeed(input) {
+  const text = String(input).trim();
+
+  if (NUMERIC_SEED.test(text)) {
+    // BigInt keeps all 64 bits and drops signs and leading zeros ("+007" is 7)
+    return { seed: BigInt(text).toString(), input, type: 'numeric' };
+  }
+
+  return { seed: String(javaStringHashCode(text)), input, type: 'text' };
+}
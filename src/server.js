@@ -1,18 +1,46 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import archiver from 'archiver';
 import { generateMap } from './screenshot.js';
-import { getImageStats, imageExists } from './storage.js';
+import { parseMapRequest } from './mapRequest.js';
+import { isServiceFailure } from './generationErrors.js';
+import { parseJobListQuery, selectJobs } from './jobListing.js';
+import { getPoolStats, closeBrowserPool } from './browserPool.js';
+import { getImageStats, imageExists, getImageUrl, getStorageDriverName, readImageStream } from './storage.js';
+import { GENERATED_MAPS_DIR } from './storageDrivers/filesystem.js';
+import { deliverWebhook, checkCallbackHost } from './webhooks.js';
+import { publishJobEvent, subscribeToJob } from './jobEvents.js';
+import { recordImageAccess, recordFileAccess, runRetention, startRetentionSchedule } from './retention.js';
+import { createCounter, createHistogram, createGauge, renderMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import {
+  loadApiKeys,
+  isAuthEnabled,
+  findApiKey,
+  consumeRateLimit,
+  getQuotaDayStart
+} from './apiKeys.js';
+import { initJobStore, getJob, saveJob, updateJob, deleteJob, listJobs, findJobs } from './jobStore.js';
+import { initBatchStore, getBatch, saveBatch } from './batchStore.js';
+import {
+  enqueue,
+  dequeue,
+  getQueuePosition,
+  removeFromQueue,
+  getQueueLength,
+  getMaxQueueLength,
+  isQueueFull,
+  recordJobDuration,
+  getEstimatedStartTime
+} from './jobQueue.js';
 import { 
   generateJobId, 
-  isValidSeed, 
-  isValidDimension, 
-  isValidSize,
-  normalizeDimension,
+  generateBatchId,
   createErrorResponse,
   createSuccessResponse,
   logInfo,
-  logError
+  logError,
+  logWarn
 } from './utils.js';
 
 // Load environment variables
@@ -22,114 +50,716 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 3;
 
+// Retryable generation failures are run again, waiting twice as long before each attempt
+const MAX_JOB_ATTEMPTS = parseInt(process.env.MAX_JOB_ATTEMPTS) || 3;
+// 0 retries straight away, so only a missing or unreadable value falls back to the default
+const retryBaseDelay = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS);
+const JOB_RETRY_BASE_DELAY_MS = Number.isFinite(retryBaseDelay) && retryBaseDelay >= 0 ? retryBaseDelay : 5000;
+
+// Most items one batch may contain
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS) || 50;
+
+// Comment line sent on idle event streams so proxies don't close them
+const SSE_HEARTBEAT_MS = 15000;
+
+// Comma-separated browser origins allowed to call the API; unset allows any
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : null;
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  ...(CORS_ORIGINS && { origin: CORS_ORIGINS }),
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining', 'Retry-After']
+}));
 app.use(express.json());
 
-// Job tracking (in-memory for MVP)
-const jobs = new Map();
+// Jobs are persisted in the job store; this only counts runs in this process
 let activeJobs = 0;
 
-// Serve generated images as static files
-app.use('/generated-maps', express.static('./generated-maps'));
+// Runs in this process by job ID, with the controller that cancels them
+const runningJobs = new Map();
+
+// How long DELETE /api/jobs/:jobId waits for a running job to stop before answering
+const CANCEL_WAIT_MS = 5000;
+
+// In-flight callback deliveries by job ID
+const callbackRuns = new Map();
+
+// Admission checks and job creation run one request at a time, so concurrent
+// requests can't be admitted into the same queue slots or quota
+let admissionChain = Promise.resolve();
+
+const jobsFinished = createCounter(
+  'mc_map_jobs_total',
+  'Jobs that finished, by final status and error code',
+  ['dimension', 'status', 'error']
+);
+
+const attemptFailures = createCounter(
+  'mc_map_generation_attempt_failures_total',
+  'Failed generation attempts, including ones that were retried',
+  ['dimension', 'step', 'error']
+);
+
+const jobDuration = createHistogram(
+  'mc_map_job_duration_seconds',
+  'Time from a job starting to finishing, including retries',
+  ['dimension', 'status']
+);
+
+const queueWait = createHistogram(
+  'mc_map_job_queue_wait_seconds',
+  'Time jobs spent queued before starting'
+);
+
+createGauge('mc_map_queue_depth', 'Jobs waiting in the queue', () => getQueueLength());
+createGauge('mc_map_queue_capacity', 'Most jobs the queue accepts', () => getMaxQueueLength());
+createGauge('mc_map_active_jobs', 'Jobs being generated', () => activeJobs);
+createGauge('mc_map_max_concurrent_jobs', 'Most jobs generated at once', () => MAX_CONCURRENT_JOBS);
+createGauge('mc_map_browser_pool_browsers', 'Browsers in the pool', () => getPoolStats().size);
+createGauge('mc_map_browser_pool_active_pages', 'Pages open in pooled browsers', () => getPoolStats().activePages);
+
+// Serve generated images as static files when they are stored locally
+if (getStorageDriverName() === 'filesystem') {
+  app.use('/generated-maps', (req, res, next) => {
+    let filename;
+    try {
+      filename = decodeURIComponent(req.path.slice(1));
+    } catch (error) {
+      // Malformed paths can't name a stored file; the static handler rejects them
+      return next();
+    }
+    
+    // Downloads keep an image from being evicted for disk space
+    recordFileAccess(filename).catch(error => {
+      logError('Failed to record image access', { path: req.path, error: error.message });
+    });
+    next();
+  }, express.static(GENERATED_MAPS_DIR));
+}
 
 /**
- * Generate a new map
+ * Get the API key a request presents, from the X-API-Key header, a bearer
+ * token, or the apiKey query parameter (EventSource can't send headers)
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Raw API key
+ */
+function getPresentedApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || req.query.apiKey;
+}
+
+/**
+ * Require a valid API key and count the request against its per-minute limit.
+ * Requests pass through while no keys are configured.
+ */
+function requireApiKey(req, res, next) {
+  if (!isAuthEnabled()) {
+    return next();
+  }
+  
+  const presented = getPresentedApiKey(req);
+  const apiKey = findApiKey(presented);
+  
+  if (!apiKey) {
+    return res.status(401).json(
+      createErrorResponse('UNAUTHORIZED', presented ? 'Invalid API key' : 'API key required in the X-API-Key header')
+    );
+  }
+  
+  const rateLimit = consumeRateLimit(apiKey);
+  res.set({
+    'X-RateLimit-Limit': rateLimit.limit,
+    'X-RateLimit-Remaining': rateLimit.remaining,
+    'X-RateLimit-Reset': Math.ceil(rateLimit.resetAt / 1000)
+  });
+  
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', Math.ceil((rateLimit.resetAt - Date.now()) / 1000));
+    logInfo('API key rate limited', { apiKeyId: apiKey.id, limit: rateLimit.limit });
+    return res.status(429).json(
+      createErrorResponse('RATE_LIMITED', `Rate limit of ${rateLimit.limit} requests per minute exceeded`, null, true)
+    );
+  }
+  
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Only let admin keys through. Must run after requireApiKey.
+ */
+function requireAdmin(req, res, next) {
+  if (!isAuthEnabled() || req.apiKey?.role === 'admin') {
+    return next();
+  }
+  
+  res.status(403).json(
+    createErrorResponse('FORBIDDEN', 'This endpoint requires an admin API key')
+  );
+}
+
+/**
+ * Count the jobs a key has created today. Jobs that failed through the
+ * service's own fault, such as a missing browser, are given back.
+ * @param {Object} apiKey - Key record
+ * @returns {Promise<Object>} Quota usage ({ used, limit, resetAt })
+ */
+async function getQuotaUsage(apiKey) {
+  const dayStart = getQuotaDayStart();
+  const jobs = await findJobs(job =>
+    job.apiKeyId === apiKey.id &&
+    new Date(job.createdAt) >= dayStart &&
+    !(job.status === 'failed' && isServiceFailure(job.error))
+  );
+  
+  return {
+    used: jobs.length,
+    limit: apiKey.dailyQuota,
+    resetAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Run one map generation attempt for a job
+ * @param {string} jobId - Job identifier
+ * @param {Object} job - Job record
+ * @param {AbortSignal} signal - Cancels the attempt
+ * @returns {Promise<Object>} generateMap result
+ */
+function runGenerationAttempt(jobId, job, signal) {
+  return generateMap(job.seed, job.dimension, jobId, job.size, job.debug, {
+    signal,
+    version: job.version,
+    edition: job.edition,
+    markers: job.markers,
+    area: job.area,
+    zoom: job.zoom,
+    tiled: job.tiled,
+    provider: job.provider,
+    seedInput: job.seedInput,
+    formats: job.formats,
+    quality: job.quality,
+    thumbnail: job.thumbnailSize,
+    overlay: job.overlay,
+    cacheKey: job.cacheKey,
+    onProgress: progress => {
+      const tiles = progress.totalTiles && { completed: progress.tilesCompleted, total: progress.totalTiles };
+      updateJob(jobId, {
+        progress: progress.message,
+        step: progress.step,
+        percent: progress.percent,
+        ...(tiles && { tiles })
+      });
+      publishJobEvent(jobId, 'progress', {
+        jobId,
+        step: progress.step,
+        message: progress.message,
+        percent: progress.percent,
+        ...(tiles && { tiles })
+      });
+    }
+  });
+}
+
+/**
+ * Fields of a job stopped by DELETE /api/jobs/:jobId
+ * @returns {Object} Job fields
+ */
+function getCancelledFields() {
+  return {
+    status: 'cancelled',
+    error: 'JOB_CANCELLED',
+    message: 'Map generation was cancelled',
+    retryable: false
+  };
+}
+
+/**
+ * Wait before a retry, returning early if the job is cancelled
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} signal - Job cancellation signal
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delay, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, delay);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Run a queued job through map generation, retrying retryable failures
+ * with exponential backoff. The job keeps its slot while it waits.
+ * @param {string} jobId - Job identifier
+ * @param {AbortSignal} signal - Cancels the run at the next step boundary
  */
-app.post('/api/generate', async (req, res) => {
+async function runJob(jobId, signal) {
+  const job = await getJob(jobId);
+  if (!job) {
+    return;
+  }
+  
+  const startedAt = Date.now();
+  queueWait.observe({}, (startedAt - new Date(job.createdAt).getTime()) / 1000);
+  await updateJob(jobId, {
+    status: 'processing',
+    startedAt: new Date(startedAt).toISOString(),
+    progress: 'Starting map generation...',
+    step: 'starting',
+    percent: 0,
+    attempts: 0,
+    maxAttempts: MAX_JOB_ATTEMPTS,
+    attemptErrors: []
+  });
+  await publishJobStatus(jobId);
+  
+  logInfo('Map generation job started', {
+    jobId,
+    seed: job.seed,
+    dimension: job.dimension,
+    size: job.size,
+    version: job.version,
+    edition: job.edition,
+    debug: job.debug,
+    activeJobs,
+    queueLength: getQueueLength()
+  });
+  
   try {
-    const { seed, dimension = 'overworld', size = 8, debug = false } = req.body;
+    let result;
+    const attemptErrors = [];
     
-    // Validate input
-    if (!isValidSeed(seed)) {
-      return res.status(400).json(
-        createErrorResponse('INVALID_SEED', 'Seed is required and must be a valid string or number')
-      );
+    for (let attempt = 1; attempt <= MAX_JOB_ATTEMPTS; attempt++) {
+      if (signal.aborted) {
+        result = { success: false, ...getCancelledFields() };
+        break;
+      }
+      
+      const attemptStartedAt = Date.now();
+      await updateJob(jobId, { attempts: attempt, tiles: null, nextAttemptAt: null });
+      
+      result = await runGenerationAttempt(jobId, job, signal);
+      if (result.success || result.status === 'cancelled') {
+        break;
+      }
+      
+      attemptFailures.inc({ dimension: job.dimension, step: result.step, error: result.error });
+      attemptErrors.push({
+        attempt,
+        at: new Date(attemptStartedAt).toISOString(),
+        durationMs: Date.now() - attemptStartedAt,
+        step: result.step,
+        error: result.error,
+        message: result.message,
+        retryable: result.retryable
+      });
+      await updateJob(jobId, { attemptErrors });
+      
+      if (!result.retryable || attempt === MAX_JOB_ATTEMPTS) {
+        break;
+      }
+      
+      const delay = JOB_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      logWarn('Map generation attempt failed, retrying', {
+        jobId,
+        attempt,
+        maxAttempts: MAX_JOB_ATTEMPTS,
+        step: result.step,
+        error: result.error,
+        delayMs: delay
+      });
+      
+      await updateJob(jobId, {
+        progress: `Attempt ${attempt} of ${MAX_JOB_ATTEMPTS} failed (${result.error}), retrying`,
+        step: 'retrying',
+        percent: 0,
+        nextAttemptAt
+      });
+      await publishJobStatus(jobId);
+      await waitForRetry(delay, signal);
     }
     
-    if (!isValidDimension(dimension)) {
-      return res.status(400).json(
-        createErrorResponse('INVALID_DIMENSION', 'Dimension must be one of: overworld, nether, end')
-      );
+    if (result.success) {
+      recordJobDuration(Date.now() - startedAt);
     }
     
-    if (!isValidSize(size)) {
-      return res.status(400).json(
-        createErrorResponse('INVALID_SIZE', 'Size must be an integer between 2 and 16 (representing 2k-16k)')
-      );
-    }
+    const status = result.success ? 'ready' : result.status;
+    jobsFinished.inc({ dimension: job.dimension, status, error: result.success ? '' : result.error });
+    jobDuration.observe({ dimension: job.dimension, status }, (Date.now() - startedAt) / 1000);
     
-    // Check concurrent job limit
-    if (activeJobs >= MAX_CONCURRENT_JOBS) {
-      return res.status(429).json(
-        createErrorResponse('TOO_MANY_JOBS', `Maximum ${MAX_CONCURRENT_JOBS} concurrent jobs allowed`)
-      );
-    }
+    await updateJob(jobId, {
+      ...result,
+      nextAttemptAt: null,
+      completedAt: new Date().toISOString()
+    });
     
-    const normalizedDimension = normalizeDimension(dimension);
-    const jobId = generateJobId(seed, normalizedDimension);
+    await publishJobStatus(jobId);
     
-    // Initialize job status
-    jobs.set(jobId, {
-      status: 'processing',
-      seed,
-      dimension: normalizedDimension,
-      size: parseInt(size),
-      debug: Boolean(debug),
-      createdAt: new Date().toISOString(),
-      progress: 'Starting map generation...'
+    logInfo('Map generation job completed', {
+      jobId,
+      status: result.success ? 'success' : result.status,
+      attempts: attemptErrors.length + (result.success ? 1 : 0),
+      activeJobs
     });
+  } catch (error) {
+    jobsFinished.inc({ dimension: job.dimension, status: 'failed', error: 'GENERATION_FAILED' });
+    await updateJob(jobId, {
+      status: 'failed',
+      error: 'GENERATION_FAILED',
+      message: error.message,
+      retryable: false,
+      completedAt: new Date().toISOString()
+    });
+    await publishJobStatus(jobId);
     
-    activeJobs++;
-    
-    logInfo('Map generation job started', {
+    logError('Map generation job failed', {
       jobId,
-      seed,
-      dimension: normalizedDimension,
-      size: parseInt(size),
-      debug: Boolean(debug),
+      error: error.message,
       activeJobs
     });
+  }
+}
+
+/**
+ * Send a job's current status to streaming clients
+ * @param {string} jobId - Job identifier
+ */
+async function publishJobStatus(jobId) {
+  const job = await getJob(jobId);
+  if (job) {
+    publishJobEvent(jobId, 'status', await buildStatusPayload(jobId, job));
+  }
+}
+
+/**
+ * Check whether a job has reached a final status
+ * @param {string} status - Job status
+ * @returns {boolean} True if the job has finished running
+ */
+function isFinalStatus(status) {
+  return ['ready', 'failed', 'cancelled', 'expired'].includes(status);
+}
+
+/**
+ * Send a finished job's status to its pending callback URLs.
+ * Runs for the same job are chained so a callback is never sent twice.
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<void>}
+ */
+function notifyCallbacks(jobId) {
+  const previous = callbackRuns.get(jobId) || Promise.resolve();
+  const run = previous.then(() => deliverPendingCallbacks(jobId));
+  callbackRuns.set(jobId, run);
+  
+  return run.finally(() => {
+    if (callbackRuns.get(jobId) === run) {
+      callbackRuns.delete(jobId);
+    }
+  });
+}
+
+/**
+ * Deliver every pending callback of a finished job
+ * @param {string} jobId - Job identifier
+ */
+async function deliverPendingCallbacks(jobId) {
+  const job = await getJob(jobId);
+  if (!job?.callbacks || !isFinalStatus(job.status)) {
+    return;
+  }
+  
+  const payload = createSuccessResponse(await buildStatusPayload(jobId, job));
+  const event = `job.${job.status}`;
+  
+  // One at a time, so attempt records never overwrite each other
+  for (let index = 0; index < job.callbacks.length; index++) {
+    const callback = job.callbacks[index];
+    if (callback.status !== 'pending') {
+      continue;
+    }
     
-    // Start map generation in background
-    generateMap(seed, normalizedDimension, jobId, parseInt(size), Boolean(debug))
-      .then(result => {
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
-          ...result,
-          completedAt: new Date().toISOString()
-        });
-        activeJobs--;
-        
-        logInfo('Map generation job completed', {
-          jobId,
-          status: result.success ? 'success' : 'failed',
-          activeJobs
-        });
-      })
+    const updateCallback = async changes => {
+      const current = await getJob(jobId);
+      if (!current) return;
+      const callbacks = current.callbacks.map((entry, i) => i === index ? { ...entry, ...changes(entry) } : entry);
+      await updateJob(jobId, { callbacks });
+    };
+    
+    const delivered = await deliverWebhook(callback.url, payload, {
+      jobId,
+      event,
+      onAttempt: attempt => updateCallback(entry => ({ attempts: [...entry.attempts, attempt] }))
+    });
+    
+    await updateCallback(() => ({ status: delivered ? 'delivered' : 'failed' }));
+  }
+}
+
+/**
+ * Start queued jobs while generation slots are free
+ */
+function processQueue() {
+  while (activeJobs < MAX_CONCURRENT_JOBS && getQueueLength() > 0) {
+    const jobId = dequeue();
+    const controller = new AbortController();
+    activeJobs++;
+    
+    const run = runJob(jobId, controller.signal)
       .catch(error => {
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
-          status: 'failed',
-          error: 'GENERATION_FAILED',
-          message: error.message,
-          completedAt: new Date().toISOString()
-        });
+        logError('Failed to run queued job', { jobId, error: error.message });
+      })
+      .finally(() => {
+        runningJobs.delete(jobId);
         activeJobs--;
+        processQueue();
         
-        logError('Map generation job failed', {
-          jobId,
-          error: error.message,
-          activeJobs
+        // Deliveries can take minutes of retries, so they don't hold the slot
+        notifyCallbacks(jobId).catch(error => {
+          logError('Failed to notify callbacks', { jobId, error: error.message });
         });
       });
+    runningJobs.set(jobId, { controller, run });
+  }
+}
+
+/**
+ * Create a pending callback record for a job
+ * @param {string} url - Callback URL
+ * @returns {Object} Callback record
+ */
+function createCallback(url) {
+  return { url, status: 'pending', attempts: [] };
+}
+
+/**
+ * Find a job that already covers a request: one still in progress, or a
+ * finished one whose image is still in storage
+ * @param {string} cacheKey - Request cache key
+ * @returns {Promise<Object|null>} Matching job or null
+ */
+async function findExistingJob(cacheKey) {
+  const matches = await findJobs(job =>
+    job.cacheKey === cacheKey &&
+    ['queued', 'processing', 'ready'].includes(job.status)
+  );
+  
+  const inProgress = matches.find(job => job.status !== 'ready');
+  if (inProgress) {
+    return inProgress;
+  }
+  
+  for (const job of matches) {
+    if (job.filename && await imageExists(job.filename)) {
+      return job;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a request needs its own render instead of reusing a job.
+ * Debug requests do too, since only a render of their own saves the debug images.
+ * @param {Object} request - Normalized request from parseMapRequest
+ * @returns {boolean} True for refresh and debug requests
+ */
+function needsOwnRender(request) {
+  return request.refresh || request.debug;
+}
+
+/**
+ * Find a job that already covers a request, unless it needs its own render.
+ * A request's callback is added to the job it reuses.
+ * @param {Object} request - Normalized request from parseMapRequest
+ * @returns {Promise<Object|null>} Existing job or null
+ */
+async function reuseExistingJob(request) {
+  if (needsOwnRender(request)) {
+    return null;
+  }
+  
+  const existing = await findExistingJob(request.cacheKey);
+  if (!existing) {
+    return null;
+  }
+  
+  logInfo('Reusing existing map job', {
+    jobId: existing.jobId,
+    cacheKey: request.cacheKey,
+    status: existing.status
+  });
+  
+  if (existing.status === 'ready') {
+    await recordImageAccess(existing.jobId);
+  }
+  
+  // The new client still gets its callback, immediately if the map is ready
+  if (request.callbackUrl) {
+    await updateJob(existing.jobId, {
+      callbacks: [...(existing.callbacks || []), createCallback(request.callbackUrl)]
+    });
+    if (existing.status === 'ready') {
+      notifyCallbacks(existing.jobId).catch(error => {
+        logError('Failed to notify callbacks', { jobId: existing.jobId, error: error.message });
+      });
+    }
+  }
+  
+  return existing;
+}
+
+/**
+ * Save a new queued job for a request. Enqueue it and call processQueue
+ * afterwards to start it.
+ * @param {Object} request - Normalized request from parseMapRequest
+ * @param {Object|null} apiKey - Key record of the client, if any
+ * @param {Object} extra - Additional job fields
+ * @returns {Promise<string>} New job ID
+ */
+async function createJob(request, apiKey, extra = {}) {
+  const { callbackUrl, refresh, ...fields } = request;
+  const jobId = generateJobId(request.seed, request.dimension);
+  
+  await saveJob(jobId, {
+    status: 'queued',
+    ...fields,
+    ...(callbackUrl && { callbacks: [createCallback(callbackUrl)] }),
+    ...(apiKey && { apiKeyId: apiKey.id }),
+    ...extra,
+    createdAt: new Date().toISOString()
+  });
+  
+  return jobId;
+}
+
+/**
+ * Run a request's admission checks and job creation after every earlier one
+ * @param {Function} admit - Checks capacity and creates jobs
+ * @returns {Promise<any>} Result of admit
+ */
+function runAdmission(admit) {
+  const run = admissionChain.then(admit);
+  admissionChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Describe a job in a generate or batch response
+ * @param {string} jobId - Job identifier
+ * @param {Object} job - Job state
+ * @param {boolean} cached - Whether an existing job was reused
+ * @returns {Promise<Object>} Job summary
+ */
+async function describeSubmittedJob(jobId, job, cached) {
+  const queuePosition = getQueuePosition(jobId);
+  const status = job.status === 'queued' && !queuePosition ? 'processing' : job.status;
+  
+  return {
+    jobId,
+    status,
+    ...(cached && { cached: true }),
+    ...(status === 'ready' && {
+      ...(await getOutputUrls(job)),
+      metadata: job.metadata
+    }),
+    ...(queuePosition && {
+      queuePosition,
+      estimatedStartTime: getEstimatedStartTime(queuePosition, MAX_CONCURRENT_JOBS)
+    }),
+    ...(!cached && { estimatedTime: '30-60 seconds' })
+  };
+}
+
+/**
+ * Check a key's daily quota before creating new jobs, setting the quota headers
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} jobCount - Number of jobs about to be created
+ * @returns {Promise<Object|null>} Error response if the quota would be exceeded
+ */
+async function checkQuota(req, res, jobCount) {
+  if (!req.apiKey || req.apiKey.dailyQuota === null) {
+    return null;
+  }
+  
+  const quota = await getQuotaUsage(req.apiKey);
+  const remaining = quota.limit - quota.used;
+  res.set({
+    'X-Quota-Limit': quota.limit,
+    'X-Quota-Remaining': Math.max(0, remaining - jobCount)
+  });
+  
+  if (jobCount > remaining) {
+    res.set('X-Quota-Remaining', Math.max(0, remaining));
+    return createErrorResponse(
+      'QUOTA_EXCEEDED',
+      `Daily quota of ${quota.limit} maps reached (${Math.max(0, remaining)} left, ${jobCount} requested), resets at ${quota.resetAt.toISOString()}`
+    );
+  }
+  
+  return null;
+}
+
+/**
+ * Generate a new map
+ */
+app.post('/api/generate', requireApiKey, async (req, res) => {
+  try {
+    const { error, request } = parseMapRequest(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    
+    const callbackError = request.callbackUrl && await checkCallbackHost(request.callbackUrl);
+    if (callbackError) {
+      return res.status(400).json(createErrorResponse('INVALID_CALLBACK_URL', callbackError.message));
+    }
+    
+    const admission = await runAdmission(async () => {
+      const existing = await reuseExistingJob(request);
+      if (existing) {
+        return { existing };
+      }
+      
+      // Cached results above are free; only new renders count against the quota
+      const quotaError = await checkQuota(req, res, 1);
+      if (quotaError) {
+        return { error: quotaError };
+      }
+      
+      // Only reject when there is no room left to wait
+      if (isQueueFull()) {
+        return {
+          error: createErrorResponse('QUEUE_FULL', `Maximum ${getMaxQueueLength()} queued jobs allowed`, null, true)
+        };
+      }
+      
+      const jobId = await createJob(request, req.apiKey);
+      enqueue(jobId);
+      return { jobId };
+    });
+    
+    if (admission.error) {
+      return res.status(429).json(admission.error);
+    }
+    if (admission.existing) {
+      return res.json(createSuccessResponse(await describeSubmittedJob(admission.existing.jobId, admission.existing, true)));
+    }
+    
+    const { jobId } = admission;
+    processQueue();
     
     // Return job status immediately
-    res.json(createSuccessResponse({
-      jobId,
-      status: 'processing',
-      estimatedTime: '30-60 seconds'
-    }));
+    res.json(createSuccessResponse(await describeSubmittedJob(jobId, await getJob(jobId), false)));
     
   } catch (error) {
     logError('Error in generate endpoint', { error: error.message });
@@ -139,13 +769,285 @@ app.post('/api/generate', async (req, res) => {
   }
 });
 
+/**
+ * Get fresh URLs for every stored output of a finished job
+ * @param {Object} job - Job state
+ * @returns {Promise<Object>} Main image URL, outputs and thumbnail
+ */
+async function getOutputUrls(job) {
+  // Presigned URLs expire, so hand out fresh ones every time
+  const withUrl = async output => ({ ...output, url: await getImageUrl(output.filename) });
+  
+  return {
+    imageUrl: await getImageUrl(job.filename),
+    ...(job.outputs && { outputs: await Promise.all(job.outputs.map(withUrl)) }),
+    ...(job.thumbnail && { thumbnail: await withUrl(job.thumbnail) })
+  };
+}
+
+/**
+ * Build the public status of a job, as returned by the status endpoint
+ * and sent to callback URLs
+ * @param {string} jobId - Job identifier
+ * @param {Object} storedJob - Job state
+ * @returns {Promise<Object>} Status payload
+ */
+async function buildStatusPayload(jobId, storedJob) {
+  // URLs and file stats are looked up per response and never stored with the job
+  const job = { ...storedJob };
+  
+  // If job is ready, check if image exists and get metadata
+  if (job.status === 'ready' && job.filename) {
+    const exists = await imageExists(job.filename);
+    if (exists) {
+      Object.assign(job, await getOutputUrls(job));
+      const stats = await getImageStats(job.filename);
+      if (stats) {
+        job.metadata = {
+          ...job.metadata,
+          fileSize: stats.sizeFormatted,
+          created: stats.created
+        };
+      }
+    }
+  }
+  
+  const queuePosition = getQueuePosition(jobId);
+  
+  return {
+    jobId,
+    status: job.status,
+    ...(job.status === 'ready' && {
+      imageUrl: job.imageUrl,
+      ...(job.outputs && { outputs: job.outputs }),
+      ...(job.thumbnail && { thumbnail: job.thumbnail }),
+      metadata: job.metadata
+    }),
+    ...(job.status === 'queued' && queuePosition && {
+      queuePosition,
+      estimatedStartTime: getEstimatedStartTime(queuePosition, MAX_CONCURRENT_JOBS)
+    }),
+    ...(job.status === 'processing' && {
+      progress: job.progress,
+      step: job.step,
+      percent: job.percent,
+      ...(job.tiles && { tiles: job.tiles }),
+      ...(job.nextAttemptAt && { nextAttemptAt: job.nextAttemptAt }),
+      ...(job.cancelRequestedAt && { cancelRequestedAt: job.cancelRequestedAt })
+    }),
+    ...(job.status === 'cancelled' && {
+      error: job.error,
+      message: job.message,
+      cancelledAt: job.completedAt
+    }),
+    ...(job.status === 'expired' && {
+      message: 'The image is no longer stored, submit the request again to render it',
+      expiredAt: job.expiredAt,
+      expiredReason: job.expiredReason
+    }),
+    ...(job.status === 'failed' && {
+      error: job.error,
+      message: job.message,
+      ...(job.step && { step: job.step }),
+      retryable: job.retryable,
+      ...(job.validation && { validation: job.validation }),
+      // Only kept in debug mode
+      ...(job.rejectedFilename && { rejectedImageUrl: await getImageUrl(job.rejectedFilename) })
+    }),
+    ...(job.attempts > 0 && {
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      attemptErrors: job.attemptErrors || []
+    })
+  };
+}
+
 /**
  * Check job status
  */
-app.get('/api/status/:jobId', async (req, res) => {
+app.get('/api/status/:jobId', requireApiKey, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await getJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json(
+        createErrorResponse('JOB_NOT_FOUND', 'Job not found')
+      );
+    }
+    
+    if (!isOwnedByRequester(req, job)) {
+      return res.status(403).json(
+        createErrorResponse('FORBIDDEN', 'Jobs can only be read by the API key that created them', jobId)
+      );
+    }
+    
+    if (job.status === 'ready') {
+      await recordImageAccess(jobId);
+    }
+    
+    res.json(createSuccessResponse({
+      ...(await buildStatusPayload(jobId, job)),
+      ...(job.callbacks && { callbacks: job.callbacks })
+    }));
+    
+  } catch (error) {
+    logError('Error in status endpoint', { error: error.message });
+    res.status(500).json(
+      createErrorResponse('SERVER_ERROR', 'Internal server error')
+    );
+  }
+});
+
+/**
+ * Summarize a job for the job listing
+ * @param {Object} job - Job record including its ID, from listJobs
+ * @returns {Promise<Object>} Job summary
+ */
+async function buildJobSummary(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    seed: job.seed,
+    ...(job.seedInput !== undefined && String(job.seedInput) !== job.seed && { seedInput: job.seedInput }),
+    dimension: job.dimension,
+    edition: job.edition,
+    version: job.version,
+    ...(job.size && { size: job.size }),
+    ...(job.area && { area: job.area }),
+    createdAt: job.createdAt,
+    ...(job.startedAt && { startedAt: job.startedAt }),
+    ...(job.completedAt && { completedAt: job.completedAt }),
+    ...(job.status === 'ready' && job.filename && {
+      imageUrl: await getImageUrl(job.filename),
+      ...(job.thumbnail && { thumbnailUrl: await getImageUrl(job.thumbnail.filename) })
+    }),
+    ...((job.status === 'failed' || job.status === 'cancelled') && {
+      error: job.error,
+      message: job.message
+    })
+  };
+}
+
+/**
+ * List jobs with filters, sorting and pagination. Keys only see their own
+ * jobs; admin keys see every job.
+ */
+app.get('/api/jobs', requireApiKey, async (req, res) => {
+  try {
+    const { error, options } = parseJobListQuery(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    
+    const ownerId = req.apiKey && req.apiKey.role !== 'admin' ? req.apiKey.id : null;
+    const { jobs, total } = selectJobs(await listJobs(), options, ownerId);
+    
+    res.json(createSuccessResponse({
+      total,
+      page: options.page,
+      limit: options.limit,
+      totalPages: Math.ceil(total / options.limit),
+      jobs: await Promise.all(jobs.map(buildJobSummary))
+    }));
+    
+  } catch (error) {
+    logError('Error in job listing endpoint', { error: error.message });
+    res.status(500).json(
+      createErrorResponse('SERVER_ERROR', 'Internal server error')
+    );
+  }
+});
+
+/**
+ * Check whether a request may act on a job or batch. Only the key that
+ * created it or an admin key may, or anyone while authentication is off.
+ * @param {Object} req - Express request
+ * @param {Object} record - Job or batch record
+ * @returns {boolean} True if allowed
+ */
+function isOwnedByRequester(req, record) {
+  if (!req.apiKey || req.apiKey.role === 'admin') {
+    return true;
+  }
+  return record.apiKeyId === req.apiKey.id;
+}
+
+/**
+ * Cancel a queued or running job. Running jobs stop at their next step
+ * boundary; partial files are deleted and the slot is freed.
+ */
+app.delete('/api/jobs/:jobId', requireApiKey, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await getJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json(
+        createErrorResponse('JOB_NOT_FOUND', 'Job not found')
+      );
+    }
+    
+    if (!isOwnedByRequester(req, job)) {
+      return res.status(403).json(
+        createErrorResponse('FORBIDDEN', 'Jobs can only be cancelled by the API key that created them', jobId)
+      );
+    }
+    
+    if (isFinalStatus(job.status)) {
+      return res.status(409).json(
+        createErrorResponse('JOB_NOT_CANCELLABLE', `Job is already ${job.status}`, jobId)
+      );
+    }
+    
+    const running = runningJobs.get(jobId);
+    
+    if (running) {
+      if (!running.controller.signal.aborted) {
+        await updateJob(jobId, { cancelRequestedAt: new Date().toISOString() });
+        running.controller.abort();
+        logInfo('Map generation job cancellation requested', { jobId, step: job.step });
+      }
+      
+      // Most steps stop within moments; slow image steps finish first
+      await Promise.race([
+        running.run,
+        new Promise(resolve => setTimeout(resolve, CANCEL_WAIT_MS))
+      ]);
+    } else {
+      removeFromQueue(jobId);
+      jobsFinished.inc({ dimension: job.dimension, status: 'cancelled', error: 'JOB_CANCELLED' });
+      await updateJob(jobId, {
+        ...getCancelledFields(),
+        completedAt: new Date().toISOString()
+      });
+      await publishJobStatus(jobId);
+      notifyCallbacks(jobId).catch(error => {
+        logError('Failed to notify callbacks', { jobId, error: error.message });
+      });
+      logInfo('Queued map generation job cancelled', { jobId });
+    }
+    
+    const current = await getJob(jobId);
+    const cancelled = current.status === 'cancelled';
+    
+    res.status(cancelled ? 200 : 202).json(createSuccessResponse(await buildStatusPayload(jobId, current)));
+    
+  } catch (error) {
+    logError('Error in cancel endpoint', { error: error.message });
+    res.status(500).json(
+      createErrorResponse('SERVER_ERROR', 'Internal server error')
+    );
+  }
+});
+
+/**
+ * Stream job progress as Server-Sent Events until the job finishes
+ */
+app.get('/api/jobs/:jobId/events', requireApiKey, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = jobs.get(jobId);
+    const job = await getJob(jobId);
     
     if (!job) {
       return res.status(404).json(
@@ -153,76 +1055,434 @@ app.get('/api/status/:jobId', async (req, res) => {
       );
     }
     
-    // If job is ready, check if image exists and get metadata
-    if (job.status === 'ready' && job.filename) {
-      const exists = await imageExists(job.filename);
-      if (exists) {
-        const stats = await getImageStats(job.filename);
-        if (stats) {
-          job.metadata = {
-            ...job.metadata,
-            fileSize: stats.sizeFormatted,
-            created: stats.created
-          };
+    if (!isOwnedByRequester(req, job)) {
+      return res.status(403).json(
+        createErrorResponse('FORBIDDEN', 'Jobs can only be read by the API key that created them', jobId)
+      );
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    
+    // Subscribe before building the snapshot so no update falls in between
+    const unsubscribe = subscribeToJob(jobId, ({ type, data }) => {
+      if (closed) return;
+      send(type, data);
+      if (type === 'status' && isFinalStatus(data.status)) {
+        close();
+      }
+    });
+    
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+    req.on('close', close);
+    
+    // Every stream opens with the current status; finished jobs end right away
+    const snapshot = await buildStatusPayload(jobId, (await getJob(jobId)) || job);
+    if (!closed) {
+      send('status', snapshot);
+      if (isFinalStatus(snapshot.status)) {
+        close();
+      }
+    }
+    
+  } catch (error) {
+    logError('Error in events endpoint', { error: error.message });
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json(
+        createErrorResponse('SERVER_ERROR', 'Internal server error')
+      );
+    }
+  }
+});
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {any} value - Value to check
+ * @returns {boolean} True for objects that aren't arrays or null
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Work out the overall status of a batch from its items
+ * @param {Object} counts - Item counts by status
+ * @param {number} total - Number of items
+ * @returns {string} queued, processing, ready, partial, failed, cancelled or expired
+ */
+function getBatchStatus(counts, total) {
+  const pending = (counts.queued || 0) + (counts.processing || 0);
+  if (pending > 0) {
+    return pending === counts.queued && counts.queued === total ? 'queued' : 'processing';
+  }
+  if (counts.ready === total) {
+    return 'ready';
+  }
+  if (counts.cancelled === total) {
+    return 'cancelled';
+  }
+  if (counts.expired === total) {
+    return 'expired';
+  }
+  return counts.ready ? 'partial' : 'failed';
+}
+
+/**
+ * Check that a batch's new jobs fit in the key's daily quota and the queue.
+ * A batch is admitted whole, so every new job must fit.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} jobCount - Number of jobs about to be created
+ * @param {number} unqueuedCount - Jobs the batch already saved but hasn't queued yet
+ * @returns {Promise<Object|null>} Error response if the jobs don't fit
+ */
+async function checkBatchCapacity(req, res, jobCount, unqueuedCount) {
+  const quotaError = await checkQuota(req, res, jobCount);
+  if (quotaError) {
+    return quotaError;
+  }
+  
+  const newJobCount = unqueuedCount + jobCount;
+  if (newJobCount > 0 && isQueueFull(newJobCount)) {
+    return createErrorResponse(
+      'QUEUE_FULL',
+      `Maximum ${getMaxQueueLength()} queued jobs allowed (${newJobCount} new jobs in this batch, ${getQueueLength()} already queued)`,
+      null,
+      true
+    );
+  }
+  
+  return null;
+}
+
+/**
+ * Delete jobs a rejected batch already saved, before any of them were queued
+ * @param {Array<string>} jobIds - Job identifiers
+ */
+async function discardJobs(jobIds) {
+  for (const jobId of jobIds) {
+    await deleteJob(jobId);
+  }
+}
+
+/**
+ * Create a batch of map jobs
+ */
+app.post('/api/batches', requireApiKey, async (req, res) => {
+  try {
+    const { items, defaults = {} } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_ITEMS ||
+      !items.every(isPlainObject) || !isPlainObject(defaults)) {
+      return res.status(400).json(
+        createErrorResponse(
+          'INVALID_BATCH',
+          `items must be an array of 1-${MAX_BATCH_ITEMS} map requests, and defaults an object of shared parameters`
+        )
+      );
+    }
+    
+    // Validate every item up front so a batch is accepted or rejected as a whole
+    const requests = [];
+    for (const [index, item] of items.entries()) {
+      const { error, request } = parseMapRequest({ ...defaults, ...item });
+      if (error) {
+        return res.status(400).json({ ...error, message: `items[${index}]: ${error.message}` });
+      }
+      const callbackError = request.callbackUrl && await checkCallbackHost(request.callbackUrl);
+      if (callbackError) {
+        return res.status(400).json(
+          createErrorResponse('INVALID_CALLBACK_URL', `items[${index}]: ${callbackError.message}`)
+        );
+      }
+      requests.push(request);
+    }
+    
+    const admission = await runAdmission(async () => {
+      // Items an existing job already covers, or that repeat another item, are free
+      const seenCacheKeys = new Set();
+      let newJobCount = 0;
+      for (const request of requests) {
+        if (needsOwnRender(request)) {
+          newJobCount++;
+        } else if (!seenCacheKeys.has(request.cacheKey)) {
+          seenCacheKeys.add(request.cacheKey);
+          if (!(await findExistingJob(request.cacheKey))) {
+            newJobCount++;
+          }
         }
       }
+      
+      const capacityError = await checkBatchCapacity(req, res, newJobCount, 0);
+      if (capacityError) {
+        return { error: capacityError };
+      }
+      
+      const batchId = generateBatchId();
+      const batchItems = [];
+      
+      // New jobs are only queued once the whole batch is admitted, so none of
+      // them can start before a rejected batch removes them again
+      const createdJobIds = [];
+      try {
+        for (const [index, request] of requests.entries()) {
+          const existing = await reuseExistingJob(request);
+          if (existing) {
+            batchItems.push({ index, jobId: existing.jobId, cached: true });
+            continue;
+          }
+          
+          // A job counted as reusable above may have expired or been cancelled since
+          if (createdJobIds.length >= newJobCount) {
+            const error = await checkBatchCapacity(req, res, 1, createdJobIds.length);
+            if (error) {
+              await discardJobs(createdJobIds);
+              return { error };
+            }
+          }
+          
+          const jobId = await createJob(request, req.apiKey, { batchId });
+          createdJobIds.push(jobId);
+          batchItems.push({ index, jobId, cached: false });
+        }
+      } catch (error) {
+        await discardJobs(createdJobIds);
+        throw error;
+      }
+      
+      createdJobIds.forEach(jobId => enqueue(jobId));
+      
+      await saveBatch(batchId, {
+        items: batchItems,
+        ...(req.apiKey && { apiKeyId: req.apiKey.id }),
+        createdAt: new Date().toISOString()
+      });
+      
+      return { batchId, batchItems };
+    });
+    
+    if (admission.error) {
+      return res.status(429).json(admission.error);
+    }
+    
+    const { batchId, batchItems } = admission;
+    processQueue();
+    
+    logInfo('Map batch created', {
+      batchId,
+      itemCount: batchItems.length,
+      newJobs: batchItems.filter(item => !item.cached).length
+    });
+    
+    res.status(201).json(createSuccessResponse({
+      batchId,
+      itemCount: batchItems.length,
+      newJobs: batchItems.filter(item => !item.cached).length,
+      cachedJobs: batchItems.filter(item => item.cached).length,
+      items: batchItems,
+      statusUrl: `/api/batches/${batchId}`
+    }));
+    
+  } catch (error) {
+    logError('Error in batch endpoint', { error: error.message });
+    res.status(500).json(
+      createErrorResponse('SERVER_ERROR', 'Internal server error')
+    );
+  }
+});
+
+/**
+ * Get the aggregated status of a batch with every item's result
+ */
+app.get('/api/batches/:batchId', requireApiKey, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const batch = await getBatch(batchId);
+    
+    if (!batch) {
+      return res.status(404).json(
+        createErrorResponse('BATCH_NOT_FOUND', 'Batch not found')
+      );
     }
     
+    if (!isOwnedByRequester(req, batch)) {
+      return res.status(403).json(
+        createErrorResponse('FORBIDDEN', 'Batches can only be read by the API key that created them')
+      );
+    }
+    
+    const items = await Promise.all(batch.items.map(async item => {
+      const job = await getJob(item.jobId);
+      if (!job) {
+        // Cleanup removed the job
+        return { index: item.index, jobId: item.jobId, status: 'missing' };
+      }
+      return { index: item.index, cached: item.cached, ...(await buildStatusPayload(item.jobId, job)) };
+    }));
+    
+    const counts = items.reduce((totals, item) => ({
+      ...totals,
+      [item.status]: (totals[item.status] || 0) + 1
+    }), { queued: 0, processing: 0, ready: 0, failed: 0, cancelled: 0, expired: 0 });
+    
     res.json(createSuccessResponse({
-      jobId,
-      status: job.status,
-      ...(job.status === 'ready' && {
-        imageUrl: job.imageUrl,
-        metadata: job.metadata
-      }),
-      ...(job.status === 'processing' && {
-        progress: job.progress
-      }),
-      ...(job.status === 'failed' && {
-        error: job.error,
-        message: job.message,
-        retryable: job.retryable
-      })
+      batchId,
+      status: getBatchStatus(counts, items.length),
+      createdAt: batch.createdAt,
+      itemCount: items.length,
+      counts,
+      ...(counts.ready > 0 && { downloadUrl: `/api/batches/${batchId}/download` }),
+      items
     }));
     
   } catch (error) {
-    logError('Error in status endpoint', { error: error.message });
+    logError('Error in batch status endpoint', { error: error.message });
     res.status(500).json(
       createErrorResponse('SERVER_ERROR', 'Internal server error')
     );
   }
 });
 
+/**
+ * Download every finished image of a batch as a zip
+ */
+app.get('/api/batches/:batchId/download', requireApiKey, async (req, res) => {
+  const { batchId } = req.params;
+  
+  try {
+    const batch = await getBatch(batchId);
+    
+    if (!batch) {
+      return res.status(404).json(
+        createErrorResponse('BATCH_NOT_FOUND', 'Batch not found')
+      );
+    }
+    
+    if (!isOwnedByRequester(req, batch)) {
+      return res.status(403).json(
+        createErrorResponse('FORBIDDEN', 'Batches can only be read by the API key that created them')
+      );
+    }
+    
+    // Items can share a job, and every output format is included
+    const filenames = new Set();
+    for (const item of batch.items) {
+      const job = await getJob(item.jobId);
+      if (job?.status !== 'ready') continue;
+      await recordImageAccess(item.jobId);
+      for (const output of job.outputs || [{ filename: job.filename }]) {
+        if (await imageExists(output.filename)) {
+          filenames.add(output.filename);
+        }
+      }
+    }
+    
+    if (filenames.size === 0) {
+      return res.status(409).json(
+        createErrorResponse('BATCH_NOT_READY', 'No finished images in this batch yet', null, true)
+      );
+    }
+    
+    // Map images are already compressed, so entries are stored as-is
+    const archive = archiver('zip', { store: true });
+    archive.on('error', error => {
+      logError('Batch archive failed', { batchId, error: error.message });
+      res.destroy(error);
+    });
+    
+    res.attachment(`${batchId}.zip`);
+    archive.pipe(res);
+    
+    for (const filename of filenames) {
+      archive.append(await readImageStream(filename), { name: filename });
+    }
+    await archive.finalize();
+    
+    logInfo('Batch archive sent', { batchId, fileCount: filenames.size });
+    
+  } catch (error) {
+    logError('Error in batch download endpoint', { batchId, error: error.message });
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json(
+        createErrorResponse('SERVER_ERROR', 'Internal server error')
+      );
+    }
+  }
+});
+
 /**
  * Health check endpoint
  */
 app.get('/api/health', (req, res) => {
+  const browserPool = getPoolStats();
+  
   res.json(createSuccessResponse({
-    status: 'healthy',
+    status: browserPool.healthy ? 'healthy' : 'degraded',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
     activeJobs,
-    maxConcurrentJobs: MAX_CONCURRENT_JOBS
+    maxConcurrentJobs: MAX_CONCURRENT_JOBS,
+    queueLength: getQueueLength(),
+    maxQueueLength: getMaxQueueLength(),
+    browserPool
   }));
 });
 
+/**
+ * Expose metrics in the Prometheus text format (admin only once
+ * authentication is enabled; Prometheus can send the key as a bearer token)
+ */
+app.get('/metrics', requireApiKey, requireAdmin, (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
 /**
  * Get service statistics
  */
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requireApiKey, async (req, res) => {
   try {
-    const totalJobs = jobs.size;
-    const completedJobs = Array.from(jobs.values()).filter(job => job.status === 'ready').length;
-    const failedJobs = Array.from(jobs.values()).filter(job => job.status === 'failed').length;
-    const processingJobs = Array.from(jobs.values()).filter(job => job.status === 'processing').length;
+    const jobs = await listJobs();
+    const totalJobs = jobs.length;
+    const completedJobs = jobs.filter(job => job.status === 'ready').length;
+    const failedJobs = jobs.filter(job => job.status === 'failed').length;
+    const cancelledJobs = jobs.filter(job => job.status === 'cancelled').length;
+    const expiredJobs = jobs.filter(job => job.status === 'expired').length;
+    const processingJobs = jobs.filter(job => job.status === 'processing').length;
+    const queuedJobs = jobs.filter(job => job.status === 'queued').length;
     
     res.json(createSuccessResponse({
       totalJobs,
       completedJobs,
       failedJobs,
+      cancelledJobs,
+      expiredJobs,
       processingJobs,
+      queuedJobs,
       activeJobs,
-      maxConcurrentJobs: MAX_CONCURRENT_JOBS
+      maxConcurrentJobs: MAX_CONCURRENT_JOBS,
+      queueLength: getQueueLength(),
+      maxQueueLength: getMaxQueueLength()
     }));
     
   } catch (error) {
@@ -234,28 +1494,31 @@ app.get('/api/stats', async (req, res) => {
 });
 
 /**
- * Clean up old jobs (optional maintenance endpoint)
+ * Clean up old jobs (admin maintenance endpoint). Ready jobs are left to the
+ * retention policy, which expires them once their images are deleted.
  */
-app.post('/api/cleanup', (req, res) => {
+app.post('/api/cleanup', requireApiKey, requireAdmin, async (req, res) => {
   try {
     const now = Date.now();
     const maxAge = 24 * 60 * 60 * 1000; // 24 hours
     
+    const jobs = await listJobs();
     let cleanedCount = 0;
-    for (const [jobId, job] of jobs.entries()) {
+    for (const job of jobs) {
       const jobAge = now - new Date(job.createdAt).getTime();
-      if (jobAge > maxAge && (job.status === 'ready' || job.status === 'failed')) {
-        jobs.delete(jobId);
+      if (jobAge > maxAge && isFinalStatus(job.status) && job.status !== 'ready') {
+        await deleteJob(job.jobId);
         cleanedCount++;
       }
     }
     
-    logInfo('Job cleanup completed', { cleanedCount, remainingJobs: jobs.size });
+    const remainingJobs = jobs.length - cleanedCount;
+    logInfo('Job cleanup completed', { cleanedCount, remainingJobs });
     
     res.json(createSuccessResponse({
       message: 'Cleanup completed',
       cleanedCount,
-      remainingJobs: jobs.size
+      remainingJobs
     }));
     
   } catch (error) {
@@ -266,6 +1529,25 @@ app.post('/api/cleanup', (req, res) => {
   }
 });
 
+/**
+ * Apply the image retention policy now (admin maintenance endpoint). Deletes
+ * images past IMAGE_TTL_HOURS or over MAX_STORAGE_MB and reports what was removed.
+ */
+app.post('/api/retention', requireApiKey, requireAdmin, async (req, res) => {
+  try {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    const report = await runRetention({ dryRun });
+    
+    res.json(createSuccessResponse(report));
+    
+  } catch (error) {
+    logError('Error in retention endpoint', { error: error.message });
+    res.status(500).json(
+      createErrorResponse('SERVER_ERROR', 'Internal server error')
+    );
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   logError('Unhandled error', { error: error.message, stack: error.stack });
@@ -281,13 +1563,65 @@ app.use((req, res) => {
   );
 });
 
-// Start server
-app.listen(PORT, () => {
-  logInfo('MC Map Generator service started', {
-    port: PORT,
-    maxConcurrentJobs: MAX_CONCURRENT_JOBS,
-    environment: process.env.NODE_ENV || 'development'
+/**
+ * Put jobs that were still waiting before a restart back in the queue
+ */
+async function requeuePendingJobs() {
+  const pendingJobs = (await listJobs())
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  
+  pendingJobs.forEach(job => enqueue(job.jobId));
+  
+  if (pendingJobs.length > 0) {
+    logInfo('Requeued pending jobs', { requeuedCount: pendingJobs.length });
+    processQueue();
+  }
+}
+
+/**
+ * Retry callbacks that were still pending when the service stopped
+ */
+async function resumePendingCallbacks() {
+  const jobs = await findJobs(job =>
+    isFinalStatus(job.status) &&
+    (job.callbacks || []).some(callback => callback.status === 'pending')
+  );
+  
+  jobs.forEach(job => {
+    notifyCallbacks(job.jobId).catch(error => {
+      logError('Failed to notify callbacks', { jobId: job.jobId, error: error.message });
+    });
+  });
+}
+
+// Start server once API keys and persisted jobs are loaded
+loadApiKeys()
+  .then(initJobStore)
+  .then(initBatchStore)
+  .then(requeuePendingJobs)
+  .then(resumePendingCallbacks)
+  .then(() => {
+    startRetentionSchedule();
+    app.listen(PORT, () => {
+      logInfo('MC Map Generator service started', {
+        port: PORT,
+        maxConcurrentJobs: MAX_CONCURRENT_JOBS,
+        maxQueueLength: getMaxQueueLength(),
+        environment: process.env.NODE_ENV || 'development'
+      });
+    });
+  })
+  .catch(error => {
+    logError('Failed to start service', { error: error.message });
+    process.exit(1);
   });
+
+// Close pooled browsers so no Chrome processes outlive the service
+process.on('SIGTERM', async () => {
+  logInfo('Shutting down, closing browser pool');
+  await closeBrowserPool();
+  process.exit(0);
 });
 
 export default app;
@@ -1,55 +1,66 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { logInfo, logError, formatFileSize } from './utils.js';
+import { filesystemDriver } from './storageDrivers/filesystem.js';
+import { s3Driver } from './storageDrivers/s3.js';
+import { createCounter } from './metrics.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Every storage driver implements: save, exists, stat, delete, list,
+// createReadStream and getUrl
+const drivers = {
+  filesystem: filesystemDriver,
+  s3: s3Driver
+};
 
-// Get the generated-maps directory path
-const generatedMapsDir = path.join(__dirname, '..', 'generated-maps');
+const driverName = process.env.STORAGE_DRIVER || 'filesystem';
+const driver = drivers[driverName];
+
+if (!driver) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}", expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+const bytesWritten = createCounter(
+  'mc_map_storage_written_bytes_total',
+  'Bytes of images written to storage',
+  ['driver']
+);
+
+const imagesWritten = createCounter(
+  'mc_map_storage_writes_total',
+  'Images written to storage',
+  ['driver', 'result']
+);
 
 /**
- * Ensure the generated-maps directory exists
+ * Get the name of the active storage driver
+ * @returns {string} Driver name
  */
-async function ensureDirectoryExists() {
-  try {
-    await fs.access(generatedMapsDir);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      await fs.mkdir(generatedMapsDir, { recursive: true });
-      logInfo('Created generated-maps directory', { directory: generatedMapsDir });
-    } else {
-      throw error;
-    }
-  }
+export function getStorageDriverName() {
+  return driver.name;
 }
 
 /**
- * Save image buffer to file
+ * Save image buffer to storage
  * @param {Buffer} buffer - Image buffer
  * @param {string} filename - Filename to save as
- * @returns {Promise<string>} Full file path
+ * @returns {Promise<string>} File path or object location
  */
 export async function saveImage(buffer, filename) {
   try {
-    await ensureDirectoryExists();
-    
-    const filePath = path.join(generatedMapsDir, filename);
-    await fs.writeFile(filePath, buffer);
-    
-    const stats = await fs.stat(filePath);
-    const fileSize = formatFileSize(stats.size);
+    const filePath = await driver.save(buffer, filename);
+    const fileSize = formatFileSize(buffer.length);
+    bytesWritten.inc({ driver: driver.name }, buffer.length);
+    imagesWritten.inc({ driver: driver.name, result: 'success' });
     
     logInfo('Image saved successfully', {
       filename,
       filePath,
       fileSize,
-      sizeBytes: stats.size
+      sizeBytes: buffer.length,
+      driver: driver.name
     });
     
     return filePath;
   } catch (error) {
+    imagesWritten.inc({ driver: driver.name, result: 'failure' });
     logError('Failed to save image', {
       filename,
       error: error.message
@@ -59,55 +70,55 @@ export async function saveImage(buffer, filename) {
 }
 
 /**
- * Get public URL for generated image
- * @param {string} filename - Image filename
- * @returns {string} Public URL for the image
- */
-export function getImageUrl(filename) {
-  // Use BASE_URL environment variable or default to localhost
-  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
-  return `${baseUrl}/generated-maps/${filename}`;
-}
-
-/**
- * Get full file path for an image
+ * Get URL for generated image from the active driver.
+ * Presigned URLs expire, so build a fresh one whenever a URL is returned.
  * @param {string} filename - Image filename
- * @returns {string} Full file path
+ * @returns {Promise<string>} URL for the image
  */
-export function getImagePath(filename) {
-  return path.join(generatedMapsDir, filename);
+export async function getImageUrl(filename) {
+  return driver.getUrl(filename);
 }
 
 /**
- * Check if image file exists
+ * Check if image exists
  * @param {string} filename - Image filename
- * @returns {Promise<boolean>} True if file exists
+ * @returns {Promise<boolean>} True if image exists
  */
 export async function imageExists(filename) {
   try {
-    const filePath = getImagePath(filename);
-    await fs.access(filePath);
-    return true;
+    return await driver.exists(filename);
   } catch (error) {
+    logError('Failed to check image', {
+      filename,
+      error: error.message
+    });
     return false;
   }
 }
 
 /**
- * Get image file stats
+ * Open a stream of an image's contents
+ * @param {string} filename - Image filename
+ * @returns {Promise<Readable>} Readable stream
+ */
+export async function readImageStream(filename) {
+  return driver.createReadStream(filename);
+}
+
+/**
+ * Get image stats
  * @param {string} filename - Image filename
  * @returns {Promise<Object|null>} File stats or null if not found
  */
 export async function getImageStats(filename) {
   try {
-    const filePath = getImagePath(filename);
-    const stats = await fs.stat(filePath);
+    const stats = await driver.stat(filename);
     
     return {
       size: stats.size,
       sizeFormatted: formatFileSize(stats.size),
-      created: stats.birthtime,
-      modified: stats.mtime
+      created: stats.created,
+      modified: stats.modified
     };
   } catch (error) {
     logError('Failed to get image stats', {
@@ -119,23 +130,22 @@ export async function getImageStats(filename) {
 }
 
 /**
- * Delete image file
+ * Delete image
  * @param {string} filename - Image filename
  * @returns {Promise<boolean>} True if deleted successfully
  */
 export async function deleteImage(filename) {
   try {
-    const filePath = getImagePath(filename);
-    await fs.unlink(filePath);
+    const deleted = await driver.delete(filename);
     
-    logInfo('Image deleted successfully', { filename });
-    return true;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
+    if (!deleted) {
       logInfo('Image file not found for deletion', { filename });
       return true; // File doesn't exist, consider it deleted
     }
     
+    logInfo('Image deleted successfully', { filename });
+    return true;
+  } catch (error) {
     logError('Failed to delete image', {
       filename,
       error: error.message
@@ -145,35 +155,35 @@ export async function deleteImage(filename) {
 }
 
 /**
- * List all images in the generated-maps directory
+ * List all images in storage. Unlike the other helpers this throws when the
+ * listing fails, so callers never mistake an outage for an empty store.
  * @returns {Promise<Array>} Array of image file info
  */
 export async function listImages() {
+  let files;
   try {
-    await ensureDirectoryExists();
-    const files = await fs.readdir(generatedMapsDir);
-    
-    const imageFiles = files.filter(file => 
-      file.toLowerCase().endsWith('.png') || 
-      file.toLowerCase().endsWith('.jpg') || 
-      file.toLowerCase().endsWith('.jpeg')
-    );
-    
-    const imageInfo = await Promise.all(
-      imageFiles.map(async (filename) => {
-        const stats = await getImageStats(filename);
-        return {
-          filename,
-          ...stats
-        };
-      })
-    );
-    
-    return imageInfo;
+    files = await driver.list();
   } catch (error) {
     logError('Failed to list images', { error: error.message });
-    return [];
+    throw error;
   }
+  
+  const imageFiles = files.filter(({ filename }) => 
+    filename.toLowerCase().endsWith('.png') || 
+    filename.toLowerCase().endsWith('.jpg') || 
+    filename.toLowerCase().endsWith('.jpeg') ||
+    filename.toLowerCase().endsWith('.webp') ||
+    filename.toLowerCase().endsWith('.avif')
+  );
+  
+  // Drivers report sizes with the listing, so there is no stat call per image
+  return imageFiles.map(({ filename, size, created, modified }) => ({
+    filename,
+    size,
+    sizeFormatted: formatFileSize(size),
+    created,
+    modified
+  }));
 }
 
 /**
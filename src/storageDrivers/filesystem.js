@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logInfo } from '../utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Get the generated-maps directory path
+export const GENERATED_MAPS_DIR = path.join(__dirname, '..', '..', 'generated-maps');
+
+/**
+ * Ensure the generated-maps directory exists
+ */
+async function ensureDirectoryExists() {
+  try {
+    await fs.access(GENERATED_MAPS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await fs.mkdir(GENERATED_MAPS_DIR, { recursive: true });
+      logInfo('Created generated-maps directory', { directory: GENERATED_MAPS_DIR });
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Get full file path for an image
+ * @param {string} filename - Image filename
+ * @returns {string} Full file path
+ */
+export function getImagePath(filename) {
+  return path.join(GENERATED_MAPS_DIR, filename);
+}
+
+/**
+ * Local directory storage, served by express.static under /generated-maps
+ */
+export const filesystemDriver = {
+  name: 'filesystem',
+
+  /**
+   * Write an image to the generated-maps directory
+   * @param {Buffer} buffer - Image buffer
+   * @param {string} filename - Filename to save as
+   * @returns {Promise<string>} Full file path
+   */
+  async save(buffer, filename) {
+    await ensureDirectoryExists();
+    const filePath = getImagePath(filename);
+    await fs.writeFile(filePath, buffer);
+    return filePath;
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async exists(filename) {
+    try {
+      await fs.access(getImagePath(filename));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<Object>} Size in bytes and timestamps
+   */
+  async stat(filename) {
+    const stats = await fs.stat(getImagePath(filename));
+    return {
+      size: stats.size,
+      created: stats.birthtime,
+      modified: stats.mtime
+    };
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<boolean>} False if there was nothing to delete
+   */
+  async delete(filename) {
+    try {
+      await fs.unlink(getImagePath(filename));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * @returns {Promise<Array<Object>>} Filename, size and timestamps of each file in the directory
+   */
+  async list() {
+    await ensureDirectoryExists();
+    const filenames = await fs.readdir(GENERATED_MAPS_DIR);
+    const files = await Promise.all(filenames.map(async filename => {
+      try {
+        return { filename, ...(await this.stat(filename)) };
+      } catch (error) {
+        // Deleted between reading the directory and its stats
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    }));
+    return files.filter(Boolean);
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<Readable>} Stream of the file contents
+   */
+  async createReadStream(filename) {
+    await fs.access(getImagePath(filename));
+    return createReadStream(getImagePath(filename));
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<string>} URL served by express.static
+   */
+  async getUrl(filename) {
+    // Use BASE_URL environment variable or default to localhost
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+    return `${baseUrl}/generated-maps/${filename}`;
+  }
+};
@@ -0,0 +1,214 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+let client;
+
+/**
+ * Read S3 settings from the environment
+ * @returns {Object} S3 configuration
+ */
+function getConfig() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+  }
+
+  return {
+    bucket,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    // MinIO and most self-hosted S3 servers need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    prefix: process.env.S3_PREFIX || '',
+    publicUrl: process.env.S3_PUBLIC_URL,
+    presignExpires: parseInt(process.env.S3_PRESIGN_EXPIRES) || 3600
+  };
+}
+
+/**
+ * Get the shared S3 client, creating it on first use
+ * @returns {S3Client} S3 client
+ */
+function getClient() {
+  if (!client) {
+    const config = getConfig();
+    client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      ...(process.env.S3_ACCESS_KEY_ID && {
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      })
+    });
+  }
+  return client;
+}
+
+/**
+ * Get the object key for an image
+ * @param {string} filename - Image filename
+ * @returns {string} Object key
+ */
+function getKey(filename) {
+  return `${getConfig().prefix}${filename}`;
+}
+
+/**
+ * Check whether an S3 error means the object doesn't exist
+ * @param {Error} error - Error from the S3 client
+ * @returns {boolean} True for a missing object
+ */
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, R2, ...)
+ */
+export const s3Driver = {
+  name: 's3',
+
+  /**
+   * Upload an image
+   * @param {Buffer} buffer - Image buffer
+   * @param {string} filename - Filename to save as
+   * @returns {Promise<string>} Object location (s3://bucket/key)
+   */
+  async save(buffer, filename) {
+    const { bucket } = getConfig();
+    const key = getKey(filename);
+    await getClient().send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream'
+    }));
+    return `s3://${bucket}/${key}`;
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(filename) {
+    try {
+      await this.stat(filename);
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<Object>} Size in bytes and timestamps
+   */
+  async stat(filename) {
+    const head = await getClient().send(new HeadObjectCommand({
+      Bucket: getConfig().bucket,
+      Key: getKey(filename)
+    }));
+    // Objects are immutable, so creation and modification are the same write
+    return {
+      size: head.ContentLength,
+      created: head.LastModified,
+      modified: head.LastModified
+    };
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<boolean>} False if there was nothing to delete
+   */
+  async delete(filename) {
+    if (!(await this.exists(filename))) {
+      return false;
+    }
+    await getClient().send(new DeleteObjectCommand({
+      Bucket: getConfig().bucket,
+      Key: getKey(filename)
+    }));
+    return true;
+  },
+
+  /**
+   * Sizes and timestamps come from the listing itself, without a HEAD per object
+   * @returns {Promise<Array<Object>>} Filename, size and timestamps of each object under the configured prefix
+   */
+  async list() {
+    const { bucket, prefix } = getConfig();
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const page = await getClient().send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+      (page.Contents || []).forEach(object => objects.push({
+        filename: object.Key.slice(prefix.length),
+        size: object.Size,
+        created: object.LastModified,
+        modified: object.LastModified
+      }));
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  },
+
+  /**
+   * @param {string} filename - Image filename
+   * @returns {Promise<Readable>} Stream of the object contents
+   */
+  async createReadStream(filename) {
+    const object = await getClient().send(new GetObjectCommand({
+      Bucket: getConfig().bucket,
+      Key: getKey(filename)
+    }));
+    return object.Body;
+  },
+
+  /**
+   * Get a public URL when the bucket is public, otherwise a presigned one
+   * @param {string} filename - Image filename
+   * @returns {Promise<string>} Image URL
+   */
+  async getUrl(filename) {
+    const { bucket, publicUrl, presignExpires } = getConfig();
+    const key = getKey(filename);
+
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+
+    return getSignedUrl(
+      getClient(),
+      new GetObjectCommand({ Bucket: bucket, Key: key }),
+      { expiresIn: presignExpires }
+    );
+  }
+};
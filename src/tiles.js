@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  VIEWPORT,
+  calculateCrop,
+  getOutputDimensions,
+  getPixelsPerBlock
+} from './mapGeometry.js';
+import { logInfo, logError } from './utils.js';
+
+// Part of each screenshot kept when stitching. Consecutive screenshots
+// overlap well beyond this core, so seams never fall on a screenshot edge
+// where the map loads last.
+const TILE_SIZE = 1600;
+
+/**
+ * Split a map area into tiles, each captured from its own screenshot
+ * @param {Object} area - World area from resolveMapArea
+ * @param {number} zoom - Map zoom level
+ * @returns {Array<Object>} Tiles with their output position and world area
+ */
+export function planTiles(area, zoom) {
+  const pixelsPerBlock = getPixelsPerBlock(zoom);
+  const output = getOutputDimensions(area, zoom);
+  const tiles = [];
+
+  for (let top = 0; top < output.height; top += TILE_SIZE) {
+    for (let left = 0; left < output.width; left += TILE_SIZE) {
+      const width = Math.min(TILE_SIZE, output.width - left);
+      const height = Math.min(TILE_SIZE, output.height - top);
+
+      const minX = area.minX + left / pixelsPerBlock;
+      const minZ = area.minZ + top / pixelsPerBlock;
+      const maxX = minX + width / pixelsPerBlock;
+      const maxZ = minZ + height / pixelsPerBlock;
+
+      tiles.push({
+        index: tiles.length,
+        left,
+        top,
+        width,
+        height,
+        area: {
+          minX,
+          maxX,
+          minZ,
+          maxZ,
+          centerX: Math.round((minX + maxX) / 2),
+          centerZ: Math.round((minZ + maxZ) / 2)
+        }
+      });
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Pan across the map and save the core of each tile to disk
+ * @param {Object} page - Puppeteer page object
+ * @param {Array<Object>} tiles - Tiles from planTiles
+ * @param {Object} options - Capture options
+ * @param {string} options.jobId - Job identifier for logging
+ * @param {number} options.zoom - Map zoom level
+ * @param {string} options.workDir - Directory for tile files
+ * @param {Object} options.centerPixel - Screen pixel the map centers on, from the provider
+ * @param {Function} options.navigate - Pans the page to a world coordinate ({ x, z })
+ * @param {Function} options.waitForReady - Waits for the map to render, resolving to { ready, loadTimeMs }
+ * @param {Function} options.onTile - Called after each tile with (completed, total)
+ * @returns {Promise<Array<Object>>} Tile files with their output position and load result
+ */
+export async function captureTiles(page, tiles, { jobId, zoom, workDir, centerPixel, navigate, waitForReady, onTile = () => {} }) {
+  const captured = [];
+
+  for (const tile of tiles) {
+    await navigate({ x: tile.area.centerX, z: tile.area.centerZ });
+    const load = await waitForReady();
+
+    const screenshotBuffer = await page.screenshot({ type: 'png', clip: { x: 0, y: 0, ...VIEWPORT } });
+    const cropParams = calculateCrop(tile.area, zoom, centerPixel);
+
+    // Only the core is kept, so nothing but the file path stays in memory
+    const file = path.join(workDir, `tile-${tile.index}.png`);
+    await sharp(screenshotBuffer)
+      .extract(cropParams)
+      .png()
+      .toFile(file);
+
+    captured.push({ file, left: tile.left, top: tile.top, loadTimeMs: load.loadTimeMs, ready: load.ready });
+
+    logInfo('Captured map tile', {
+      jobId,
+      tile: tile.index + 1,
+      totalTiles: tiles.length,
+      center: { x: tile.area.centerX, z: tile.area.centerZ },
+      loadTimeMs: load.loadTimeMs,
+      cropParams
+    });
+    onTile(tile.index + 1, tiles.length);
+  }
+
+  return captured;
+}
+
+/**
+ * Stitch captured tiles into one image
+ * @param {Array<Object>} tiles - Tile files from captureTiles
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<Buffer>} Stitched PNG buffer
+ */
+export async function stitchTiles(tiles, width, height, jobId) {
+  try {
+    logInfo('Stitching map tiles', { jobId, tileCount: tiles.length, width, height });
+
+    // Tiles are read from disk during the composite rather than kept in
+    // memory while capturing, but the stitched image itself is built in
+    // memory; MAX_OUTPUT_DIMENSION keeps it to a size the process can hold
+    const stitchedBuffer = await sharp({
+      create: {
+        width,
+        height,
+        channels: 4,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      },
+      limitInputPixels: false
+    })
+      .composite(tiles.map(tile => ({ input: tile.file, left: tile.left, top: tile.top })))
+      .png()
+      .toBuffer();
+
+    logInfo('Map tiles stitched', { jobId, stitchedSize: stitchedBuffer.length });
+
+    return stitchedBuffer;
+
+  } catch (error) {
+    logError('Tile stitching failed', { jobId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Create a scratch directory for a job's tiles
+ * @returns {Promise<string>} Directory path
+ */
+export async function createTileDirectory() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'mc-map-tiles-'));
+}
+
+/**
+ * Remove a job's tile directory
+ * @param {string} workDir - Directory path
+ */
+export async function removeTileDirectory(workDir) {
+  await fs.rm(workDir, { recursive: true, force: true });
+}
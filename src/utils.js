@@ -7,23 +7,92 @@ import crypto from 'crypto';
  * @returns {string} Unique job ID
  */
 export function generateJobId(seed, dimension) {
-  const timestamp = Date.now();
-  return `seed-${seed}-${dimension}-${timestamp}`;
+  // Batch items for the same seed and dimension are created in the same millisecond
+  return `seed-${seed}-${dimension}-${Date.now()}-${generateRandomString(4)}`;
 }
 
 /**
- * Validate seed input
- * @param {any} seed - The seed to validate
- * @returns {boolean} True if valid seed
+ * Generate a unique batch ID
+ * @returns {string} Unique batch ID
  */
-export function isValidSeed(seed) {
-  if (typeof seed === 'string' && seed.trim().length > 0) {
-    return true;
-  }
-  if (typeof seed === 'number' && !isNaN(seed)) {
-    return true;
-  }
-  return false;
+export function generateBatchId() {
+  return `batch-${Date.now()}-${generateRandomString(4)}`;
+}
+
+// Game versions mcseedmap.net can render, newest first per edition.
+// Add new releases here once the site supports them.
+export const SUPPORTED_VERSIONS = {
+  java: ['1.21.5', '1.21.4', '1.21.3', '1.21', '1.20', '1.19', '1.18', '1.17', '1.16', '1.15', '1.14', '1.13'],
+  bedrock: ['1.21', '1.20', '1.19', '1.18']
+};
+
+// Structure marker IDs accepted by the API, mapped to the label of their
+// toggle button in the mcseedmap.net Markers panel
+export const STRUCTURE_MARKERS = {
+  village: 'Village',
+  pillager_outpost: 'Pillager Outpost',
+  woodland_mansion: 'Woodland Mansion',
+  stronghold: 'Stronghold',
+  ancient_city: 'Ancient City',
+  trial_chambers: 'Trial Chambers',
+  ocean_monument: 'Ocean Monument',
+  desert_pyramid: 'Desert Pyramid',
+  jungle_pyramid: 'Jungle Pyramid',
+  swamp_hut: 'Swamp Hut',
+  igloo: 'Igloo',
+  shipwreck: 'Shipwreck',
+  ocean_ruin: 'Ocean Ruin',
+  buried_treasure: 'Buried Treasure',
+  ruined_portal: 'Ruined Portal',
+  mineshaft: 'Mineshaft',
+  trail_ruins: 'Trail Ruins',
+  nether_fortress: 'Nether Fortress',
+  bastion_remnant: 'Bastion Remnant',
+  end_city: 'End City'
+};
+
+// Vanilla world border, the furthest a map can be centered
+const WORLD_BORDER = 29999984;
+
+// Markers shown when a request doesn't choose any
+export const DEFAULT_MARKERS = ['village'];
+
+// Image formats a map can be encoded as; the first requested format is the main image
+export const OUTPUT_FORMATS = ['png', 'webp', 'jpeg', 'avif'];
+export const DEFAULT_FORMATS = ['png'];
+
+// Encoder quality for lossy formats and thumbnails
+export const DEFAULT_QUALITY = 80;
+
+// Longest thumbnail side when a request asks for `thumbnail: true`
+export const DEFAULT_THUMBNAIL_SIZE = 320;
+
+/**
+ * Build a content-addressed cache key for a map request.
+ * Requests that would render the same image get the same key.
+ * @param {Object} params - Request parameters
+ * @param {string|number} params.seed - The Minecraft seed
+ * @param {string} params.dimension - The normalized dimension
+ * @param {number|null} params.size - The size (2-64), null for a bounding box
+ * @param {string} params.version - Game version the map is rendered for
+ * @param {Object} params.options - Render options that change the output
+ * @returns {string} Hex SHA-256 cache key
+ */
+export function createCacheKey({ seed, dimension, size, version, options = {} }) {
+  // Sort option keys so property order never changes the key
+  const sortedOptions = Object.keys(options)
+    .sort()
+    .reduce((sorted, key) => ({ ...sorted, [key]: options[key] }), {});
+  
+  const normalized = JSON.stringify({
+    seed: String(seed).trim(),
+    dimension,
+    size: parseInt(size),
+    version,
+    options: sortedOptions
+  });
+  
+  return crypto.createHash('sha256').update(normalized).digest('hex');
 }
 
 /**
@@ -45,14 +114,193 @@ export function normalizeDimension(dimension) {
   return dimension?.toLowerCase() || 'overworld';
 }
 
+/**
+ * Validate edition input
+ * @param {string} edition - The edition to validate
+ * @returns {boolean} True if valid edition
+ */
+export function isValidEdition(edition) {
+  return typeof edition === 'string' && Object.keys(SUPPORTED_VERSIONS).includes(edition.toLowerCase());
+}
+
+/**
+ * Normalize edition name
+ * @param {string} edition - The edition to normalize
+ * @returns {string} Normalized edition name
+ */
+export function normalizeEdition(edition) {
+  return edition?.toLowerCase() || 'java';
+}
+
+/**
+ * Check whether a game version is supported for an edition
+ * @param {string} version - The game version (e.g. "1.21.5")
+ * @param {string} edition - The normalized edition
+ * @returns {boolean} True if the version can be rendered
+ */
+export function isSupportedVersion(version, edition) {
+  return (SUPPORTED_VERSIONS[edition] || []).includes(String(version).trim());
+}
+
+/**
+ * Get the newest supported version for an edition
+ * @param {string} edition - The normalized edition
+ * @returns {string} Default game version
+ */
+export function getDefaultVersion(edition) {
+  return SUPPORTED_VERSIONS[edition][0];
+}
+
+/**
+ * Validate structure marker list
+ * @param {any} markers - The marker IDs to validate
+ * @returns {boolean} True if every marker is known (an empty list is valid)
+ */
+export function isValidMarkers(markers) {
+  return Array.isArray(markers) && markers.every(marker =>
+    typeof marker === 'string' && Object.hasOwn(STRUCTURE_MARKERS, marker.toLowerCase())
+  );
+}
+
+/**
+ * Normalize structure marker list
+ * @param {Array<string>} markers - The marker IDs to normalize
+ * @returns {Array<string>} Lowercased, de-duplicated, sorted marker IDs
+ */
+export function normalizeMarkers(markers) {
+  return [...new Set(markers.map(marker => marker.toLowerCase()))].sort();
+}
+
+/**
+ * Validate a world coordinate
+ * @param {any} value - The coordinate to validate
+ * @returns {boolean} True if an integer inside the world border
+ */
+export function isValidCoordinate(value) {
+  return Number.isInteger(value) && Math.abs(value) <= WORLD_BORDER;
+}
+
+/**
+ * Validate a bounding box
+ * @param {any} bounds - The bounds to validate ({ minX, minZ, maxX, maxZ })
+ * @returns {boolean} True if all edges are valid and the box has an area
+ */
+export function isValidBounds(bounds) {
+  if (!bounds || typeof bounds !== 'object') {
+    return false;
+  }
+  const { minX, minZ, maxX, maxZ } = bounds;
+  return [minX, minZ, maxX, maxZ].every(isValidCoordinate) && minX < maxX && minZ < maxZ;
+}
+
+/**
+ * Resolve the world area a map covers
+ * @param {Object} params - Area parameters
+ * @param {number} params.size - The size (2-64), used with a center point
+ * @param {number} params.centerX - Center X coordinate (default 0)
+ * @param {number} params.centerZ - Center Z coordinate (default 0)
+ * @param {Object} params.bounds - Explicit bounding box, overrides size and center
+ * @returns {Object} Area ({ minX, maxX, minZ, maxZ, centerX, centerZ })
+ */
+export function resolveMapArea({ size = 8, centerX = 0, centerZ = 0, bounds } = {}) {
+  if (bounds) {
+    const { minX, minZ, maxX, maxZ } = bounds;
+    return {
+      minX,
+      maxX,
+      minZ,
+      maxZ,
+      centerX: Math.round((minX + maxX) / 2),
+      centerZ: Math.round((minZ + maxZ) / 2)
+    };
+  }
+  
+  // Size is the full width in thousands of blocks
+  const halfSize = parseInt(size) * 500;
+  return {
+    minX: centerX - halfSize,
+    maxX: centerX + halfSize,
+    minZ: centerZ - halfSize,
+    maxZ: centerZ + halfSize,
+    centerX,
+    centerZ
+  };
+}
+
 /**
  * Validate size input
- * @param {number} size - The size to validate (2-16)
+ * @param {number} size - The size to validate (2-64)
  * @returns {boolean} True if valid size
  */
 export function isValidSize(size) {
   const numSize = parseInt(size);
-  return !isNaN(numSize) && numSize >= 2 && numSize <= 16;
+  return !isNaN(numSize) && numSize >= 2 && numSize <= 64;
+}
+
+/**
+ * Validate zoom input
+ * @param {any} zoom - The map zoom level to validate (-3 to 0)
+ * @returns {boolean} True if valid zoom
+ */
+export function isValidZoom(zoom) {
+  return Number.isInteger(zoom) && zoom >= -3 && zoom <= 0;
+}
+
+/**
+ * Validate output formats input
+ * @param {any} formats - The formats to validate
+ * @returns {boolean} True if a non-empty array of known formats ("jpg" is accepted for "jpeg")
+ */
+export function isValidFormats(formats) {
+  return Array.isArray(formats) && formats.length > 0 && formats.every(format =>
+    typeof format === 'string' &&
+    (OUTPUT_FORMATS.includes(format.toLowerCase()) || format.toLowerCase() === 'jpg')
+  );
+}
+
+/**
+ * Normalize output formats list
+ * @param {Array<string>} formats - The formats to normalize
+ * @returns {Array<string>} Lowercased, de-duplicated formats in request order
+ */
+export function normalizeFormats(formats) {
+  return [...new Set(formats.map(format => {
+    const lower = format.toLowerCase();
+    return lower === 'jpg' ? 'jpeg' : lower;
+  }))];
+}
+
+/**
+ * Validate encoder quality input
+ * @param {any} quality - The quality to validate
+ * @returns {boolean} True if an integer between 1 and 100
+ */
+export function isValidQuality(quality) {
+  return Number.isInteger(quality) && quality >= 1 && quality <= 100;
+}
+
+/**
+ * Validate thumbnail input
+ * @param {any} thumbnail - true/false, or the longest side in pixels
+ * @returns {boolean} True if a boolean or an integer between 64 and 1024
+ */
+export function isValidThumbnail(thumbnail) {
+  if (typeof thumbnail === 'boolean') {
+    return true;
+  }
+  return Number.isInteger(thumbnail) && thumbnail >= 64 && thumbnail <= 1024;
+}
+
+/**
+ * Normalize thumbnail input
+ * @param {boolean|number} thumbnail - true/false, or the longest side in pixels
+ * @returns {number|null} Longest thumbnail side, or null for no thumbnail
+ */
+export function normalizeThumbnail(thumbnail) {
+  if (thumbnail === true) {
+    return DEFAULT_THUMBNAIL_SIZE;
+  }
+  return thumbnail || null;
 }
 
 /**
@@ -72,14 +320,31 @@ export function createLogEntry(level, message, metadata = {}) {
   };
 }
 
+// Console method used for each log level
+const CONSOLE_METHODS = {
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+// Log entries are printed as JSON lines unless a caller installs its own writer
+let logWriter = entry => console[CONSOLE_METHODS[entry.level]](JSON.stringify(entry));
+
+/**
+ * Replace how log entries are written, e.g. to print them for a terminal
+ * @param {Function} writer - Called with each structured log entry
+ */
+export function setLogWriter(writer) {
+  logWriter = writer;
+}
+
 /**
  * Log info message
  * @param {string} message - Log message
  * @param {Object} metadata - Additional metadata
  */
 export function logInfo(message, metadata = {}) {
-  const logEntry = createLogEntry('info', message, metadata);
-  console.log(JSON.stringify(logEntry));
+  logWriter(createLogEntry('info', message, metadata));
 }
 
 /**
@@ -88,8 +353,7 @@ export function logInfo(message, metadata = {}) {
  * @param {Object} metadata - Additional metadata
  */
 export function logError(message, metadata = {}) {
-  const logEntry = createLogEntry('error', message, metadata);
-  console.error(JSON.stringify(logEntry));
+  logWriter(createLogEntry('error', message, metadata));
 }
 
 /**
@@ -98,8 +362,7 @@ export function logError(message, metadata = {}) {
  * @param {Object} metadata - Additional metadata
  */
 export function logWarn(message, metadata = {}) {
-  const logEntry = createLogEntry('warn', message, metadata);
-  console.warn(JSON.stringify(logEntry));
+  logWriter(createLogEntry('warn', message, metadata));
 }
 
 /**
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { Agent } from 'undici';
+import { logInfo, logWarn } from './utils.js';
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// First retry waits this long, doubling after each failed attempt
+const WEBHOOK_BASE_DELAY_MS = 1000;
+
+// Hosts callbacks may reach even on a private address, e.g. a receiver on the same network
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local (which holds cloud metadata services such as
+// 169.254.169.254), shared, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses are checked against the ranges above; NAT64
+// and 6to4 addresses embed an IPv4 address that could be one of them
+[
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Error code of connections refused because the host resolved to a blocked address
+const BLOCKED_ADDRESS_CODE = 'CALLBACK_ADDRESS_BLOCKED';
+
+// Resolves callback hosts for the connection itself, so a DNS answer that
+// changed since checkCallbackHost can't point the request at a blocked address
+const callbackAgent = new Agent({
+  connect: {
+    lookup(hostname, options, callback) {
+      dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) {
+          return callback(error);
+        }
+        const message = getBlockedHostMessage(hostname, addresses);
+        if (message) {
+          const blockedError = new Error(message);
+          blockedError.code = BLOCKED_ADDRESS_CODE;
+          return callback(blockedError);
+        }
+        if (options.all) {
+          return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+      });
+    }
+  }
+});
+
+/**
+ * Check whether webhook delivery is configured
+ * @returns {boolean} True if a signing secret is set
+ */
+export function isWebhookEnabled() {
+  return Boolean(WEBHOOK_SECRET);
+}
+
+/**
+ * Validate callback URL input
+ * @param {any} url - The URL to validate
+ * @returns {boolean} True if an absolute http(s) URL
+ */
+export function isValidCallbackUrl(url) {
+  if (typeof url !== 'string') {
+    return false;
+  }
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if callbacks must not be sent to it
+ */
+export function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check the addresses a callback host resolved to
+ * @param {string} host - Host name or IP address
+ * @param {Array<Object>} addresses - Resolved addresses ({ address, family })
+ * @returns {string|null} Why the host must not be called, or null
+ */
+function getBlockedHostMessage(host, addresses) {
+  if (WEBHOOK_ALLOWED_HOSTS.includes(host.toLowerCase())) {
+    return null;
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return 'callbackUrl must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+/**
+ * Check that a callback URL's host only resolves to public addresses. Runs when
+ * the request is accepted and again before every delivery attempt, since DNS
+ * answers can change in between; the delivery itself connects through
+ * callbackAgent, which checks the addresses it actually connects to.
+ * @param {string} url - Callback URL, already checked by isValidCallbackUrl
+ * @returns {Promise<Object|null>} { message, retryable } if the URL must not be called now, or null
+ */
+export async function checkCallbackHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.includes(host)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return { message: `callbackUrl host ${host} could not be resolved`, retryable: true };
+  }
+
+  const message = getBlockedHostMessage(host, addresses);
+  return message ? { message, retryable: false } : null;
+}
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over `${timestamp}.${body}`
+ * with the shared secret and compare it to the signature header.
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+export function signPayload(body, timestamp) {
+  return crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Check whether a failed delivery is worth retrying
+ * @param {number|null} statusCode - HTTP status, or null for a network error
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx
+ */
+function isRetryableStatus(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * POST a payload to a callback URL, retrying with exponential backoff
+ * @param {string} url - Callback URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} options - Delivery options
+ * @param {string} options.jobId - Job identifier for logging
+ * @param {string} options.event - Event name sent in the X-MC-Map-Event header
+ * @param {Function} options.onAttempt - Called with each attempt record
+ * @returns {Promise<boolean>} True if the receiver accepted the payload
+ */
+export async function deliverWebhook(url, payload, { jobId, event, onAttempt = async () => {} }) {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    let blocked = false;
+
+    try {
+      const hostError = await checkCallbackHost(url);
+      if (hostError) {
+        blocked = !hostError.retryable;
+        throw new Error(hostError.message);
+      }
+
+      // Redirects are not followed, they could lead to a blocked address
+      const response = await fetch(url, {
+        method: 'POST',
+        redirect: 'manual',
+        dispatcher: callbackAgent,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'mc-map-generator-webhook',
+          'X-MC-Map-Event': event,
+          'X-MC-Map-Timestamp': timestamp,
+          'X-MC-Map-Signature': `sha256=${signPayload(body, timestamp)}`
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (fetchError) {
+      // fetch wraps connection errors, including the agent's address check
+      if (fetchError.cause?.code === BLOCKED_ADDRESS_CODE) {
+        blocked = true;
+        error = fetchError.cause.message;
+      } else {
+        error = fetchError.message;
+      }
+    }
+
+    await onAttempt({
+      attempt,
+      at: new Date(startedAt).toISOString(),
+      statusCode,
+      durationMs: Date.now() - startedAt,
+      ...(error && { error })
+    });
+
+    if (!error) {
+      logInfo('Webhook delivered', { jobId, url, event, attempt, statusCode });
+      return true;
+    }
+
+    const retryable = !blocked && isRetryableStatus(statusCode);
+    logWarn('Webhook delivery failed', { jobId, url, event, attempt, statusCode, error, retryable });
+
+    if (!retryable || attempt === WEBHOOK_MAX_ATTEMPTS) {
+      return false;
+    }
+
+    const delay = WEBHOOK_BASE_DELAY_MS * 2 ** (attempt - 1);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  return false;
+}
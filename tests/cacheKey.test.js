@@ -0,0 +1,45 @@
+import { createCacheKey } from '../src/utils.js';
+
+const request = {
+  seed: '12345',
+  dimension: 'overworld',
+  size: 8,
+  version: '1.21-java',
+  options: { markers: ['village'], zoom: -3, tiled: false }
+};
+
+describe('createCacheKey', () => {
+  test('returns a hex SHA-256 digest', () => {
+    expect(createCacheKey(request)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('gives the same request the same key', () => {
+    expect(createCacheKey(request)).toBe(createCacheKey({ ...request }));
+  });
+
+  test('ignores the order of option keys', () => {
+    const reordered = { ...request, options: { tiled: false, zoom: -3, markers: ['village'] } };
+    expect(createCacheKey(reordered)).toBe(createCacheKey(request));
+  });
+
+  test('treats numeric sizes and seeds the same as strings', () => {
+    expect(createCacheKey({ ...request, size: '8' })).toBe(createCacheKey(request));
+    expect(createCacheKey({ ...request, seed: 12345 })).toBe(createCacheKey(request));
+    expect(createCacheKey({ ...request, seed: ' 12345 ' })).toBe(createCacheKey(request));
+  });
+
+  test('defaults to no options', () => {
+    const { options, ...withoutOptions } = request;
+    expect(createCacheKey(withoutOptions)).toBe(createCacheKey({ ...request, options: {} }));
+  });
+
+  test('changes with anything that changes the image', () => {
+    const key = createCacheKey(request);
+    expect(createCacheKey({ ...request, seed: '12346' })).not.toBe(key);
+    expect(createCacheKey({ ...request, dimension: 'nether' })).not.toBe(key);
+    expect(createCacheKey({ ...request, size: 16 })).not.toBe(key);
+    expect(createCacheKey({ ...request, version: '1.20-java' })).not.toBe(key);
+    expect(createCacheKey({ ...request, options: { ...request.options, zoom: -2 } })).not.toBe(key);
+    expect(createCacheKey({ ...request, options: { ...request.options, markers: [] } })).not.toBe(key);
+  });
+});
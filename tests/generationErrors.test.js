@@ -0,0 +1,69 @@
+import { classifyGenerationError, isServiceFailure } from '../src/generationErrors.js';
+import { createValidationError } from '../src/imageValidation.js';
+
+/**
+ * Build an error like the ones Puppeteer throws
+ * @param {string} message - Error message
+ * @param {string} name - Error name
+ * @returns {Error} Error
+ */
+function puppeteerError(message, name = 'Error') {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+describe('classifyGenerationError', () => {
+  test.each([
+    ['Could not find Chrome (ver. 131.0.6778.204)', 'browser', 'BROWSER_UNAVAILABLE', false],
+    ['Failed to launch the browser process!', 'browser', 'BROWSER_LAUNCH_FAILED', true],
+    ['Waiting for selector `.leaflet-container` failed', 'sidebar', 'SELECTOR_NOT_FOUND', true],
+    ['net::ERR_NAME_NOT_RESOLVED at https://mcseedmap.net', 'navigate', 'NETWORK_ERROR', true],
+    ['read ECONNRESET', 'navigate', 'NETWORK_ERROR', true],
+    ['Protocol error (Page.captureScreenshot): Target closed', 'screenshot', 'BROWSER_CRASHED', true],
+    ['Navigating frame was detached', 'markers', 'BROWSER_CRASHED', true],
+    ['extract_area: bad extract area', 'processing', 'IMAGE_OUT_OF_BOUNDS', false],
+    ['EACCES: permission denied', 'saving', 'STORAGE_FAILED', true],
+    ['Input buffer contains unsupported image format', 'encoding', 'IMAGE_PROCESSING_FAILED', false]
+  ])('classifies "%s" during %s as %s', (message, step, code, retryable) => {
+    expect(classifyGenerationError(puppeteerError(message), step)).toEqual({ code, retryable, step });
+  });
+
+  test('tells navigation timeouts apart from other timeouts', () => {
+    const timeout = puppeteerError('Navigation timeout of 30000 ms exceeded', 'TimeoutError');
+    expect(classifyGenerationError(timeout, 'navigate').code).toBe('NAVIGATION_TIMEOUT');
+    expect(classifyGenerationError(timeout, 'tiles').code).toBe('NAVIGATION_TIMEOUT');
+    expect(classifyGenerationError(timeout, 'waiting')).toEqual({ code: 'PAGE_TIMEOUT', retryable: true, step: 'waiting' });
+  });
+
+  test('prefers the cause over the step', () => {
+    const crash = puppeteerError('Session closed. Most likely the page has been closed.');
+    expect(classifyGenerationError(crash, 'saving').code).toBe('BROWSER_CRASHED');
+  });
+
+  test('keeps the code of rejected map images', () => {
+    const rejected = createValidationError({ code: 'BLANK_SCREENSHOT', reason: 'Image is blank', retryable: true, stats: {} });
+    expect(classifyGenerationError(rejected, 'validating')).toEqual({ code: 'BLANK_SCREENSHOT', retryable: true, step: 'validating' });
+
+    const wrongSize = createValidationError({ code: 'WRONG_IMAGE_SIZE', reason: 'Image is 10x10, expected 1000x1000', retryable: false, stats: {} });
+    expect(classifyGenerationError(wrongSize, 'validating').retryable).toBe(false);
+  });
+
+  test('retries unknown failures only while driving the browser', () => {
+    const unknown = puppeteerError('Something unexpected');
+    expect(classifyGenerationError(unknown, 'navigate')).toEqual({ code: 'GENERATION_FAILED', retryable: true, step: 'navigate' });
+    expect(classifyGenerationError(unknown, null)).toEqual({ code: 'GENERATION_FAILED', retryable: false, step: null });
+  });
+});
+
+describe('isServiceFailure', () => {
+  test('counts browser, storage and unknown failures as the service\'s fault', () => {
+    ['BROWSER_UNAVAILABLE', 'BROWSER_LAUNCH_FAILED', 'BROWSER_CRASHED', 'STORAGE_FAILED', 'JOB_INTERRUPTED', 'GENERATION_FAILED']
+      .forEach(code => expect(isServiceFailure(code)).toBe(true));
+  });
+
+  test('counts page, network and image failures against the request', () => {
+    ['NAVIGATION_TIMEOUT', 'PAGE_TIMEOUT', 'SELECTOR_NOT_FOUND', 'NETWORK_ERROR', 'IMAGE_OUT_OF_BOUNDS', 'BLANK_SCREENSHOT', undefined]
+      .forEach(code => expect(isServiceFailure(code)).toBe(false));
+  });
+});
@@ -0,0 +1,121 @@
+import { parseJobListQuery, selectJobs } from '../src/jobListing.js';
+
+const jobs = [
+  { jobId: 'job-a', status: 'ready', dimension: 'overworld', seed: '1', apiKeyId: 'alice', createdAt: '2026-01-01T00:00:00.000Z', completedAt: '2026-01-01T00:01:00.000Z' },
+  { jobId: 'job-b', status: 'failed', dimension: 'nether', seed: '2', apiKeyId: 'bob', createdAt: '2026-01-02T00:00:00.000Z', completedAt: '2026-01-02T00:00:30.000Z' },
+  { jobId: 'job-c', status: 'queued', dimension: 'end', seed: '99162322', apiKeyId: 'alice', createdAt: '2026-01-03T00:00:00.000Z' },
+  { jobId: 'job-d', status: 'ready', dimension: 'nether', seed: '1', apiKeyId: 'bob', createdAt: '2026-01-03T00:00:00.000Z', completedAt: '2026-01-03T00:02:00.000Z' }
+];
+
+/**
+ * Parse a query that is expected to be valid
+ * @param {Object} query - Query parameters
+ * @returns {Object} Listing options
+ */
+function options(query = {}) {
+  const { error, options: parsed } = parseJobListQuery(query);
+  expect(error).toBeUndefined();
+  return parsed;
+}
+
+/**
+ * Get the IDs of the jobs selected by a query
+ * @param {Object} query - Query parameters
+ * @param {string|null} apiKeyId - Requesting key
+ * @returns {Array<string>} Job IDs in listing order
+ */
+function select(query, apiKeyId = null) {
+  return selectJobs(jobs, options(query), apiKeyId).jobs.map(job => job.jobId);
+}
+
+describe('parseJobListQuery', () => {
+  test('defaults to every job, newest first, 20 per page', () => {
+    expect(options()).toEqual({
+      statuses: [],
+      dimensions: [],
+      seed: null,
+      from: null,
+      to: null,
+      sortField: 'createdAt',
+      descending: true,
+      page: 1,
+      limit: 20
+    });
+  });
+
+  test('accepts lists as commas, repeated parameters or both', () => {
+    expect(options({ status: 'ready,Failed' }).statuses).toEqual(['ready', 'failed']);
+    expect(options({ status: ['ready', 'queued,failed'] }).statuses).toEqual(['ready', 'queued', 'failed']);
+    expect(options({ dimension: 'Nether, end' }).dimensions).toEqual(['nether', 'end']);
+  });
+
+  test('resolves text seeds to the numeric seed they hash to', () => {
+    expect(options({ seed: 'hello' }).seed).toBe('99162322');
+    expect(options({ seed: '+007' }).seed).toBe('7');
+  });
+
+  test('parses the date range and sort order', () => {
+    const parsed = options({ from: '2026-01-02', to: '2026-01-03T12:00:00Z', sort: 'completedAt' });
+    expect(parsed.from).toEqual(new Date('2026-01-02'));
+    expect(parsed.to).toEqual(new Date('2026-01-03T12:00:00Z'));
+    expect(parsed.sortField).toBe('completedAt');
+    expect(parsed.descending).toBe(false);
+  });
+
+  test.each([
+    [{ status: 'done' }, 'INVALID_STATUS'],
+    [{ dimension: 'aether' }, 'INVALID_DIMENSION'],
+    [{ seed: '' }, 'INVALID_SEED'],
+    [{ seed: ['1', '2'] }, 'INVALID_SEED'],
+    [{ from: 'yesterday' }, 'INVALID_DATE_RANGE'],
+    [{ from: ['2026-01-01'] }, 'INVALID_DATE_RANGE'],
+    [{ from: '2026-01-03', to: '2026-01-01' }, 'INVALID_DATE_RANGE'],
+    [{ page: '0' }, 'INVALID_PAGINATION'],
+    [{ page: '1.5' }, 'INVALID_PAGINATION'],
+    [{ limit: '101' }, 'INVALID_PAGINATION'],
+    [{ limit: '-1' }, 'INVALID_PAGINATION'],
+    [{ sort: 'seed' }, 'INVALID_SORT']
+  ])('rejects %j with %s', (query, code) => {
+    const { error, options: parsed } = parseJobListQuery(query);
+    expect(parsed).toBeUndefined();
+    expect(error.error).toBe(code);
+  });
+});
+
+describe('selectJobs', () => {
+  test('lists every job newest first, breaking ties by job ID', () => {
+    expect(select({})).toEqual(['job-c', 'job-d', 'job-b', 'job-a']);
+  });
+
+  test('sorts ascending without the - prefix', () => {
+    expect(select({ sort: 'createdAt' })).toEqual(['job-a', 'job-b', 'job-c', 'job-d']);
+  });
+
+  test('sorts jobs missing the sort field last', () => {
+    expect(select({ sort: '-completedAt' })).toEqual(['job-d', 'job-b', 'job-a', 'job-c']);
+    expect(select({ sort: 'completedAt' })).toEqual(['job-a', 'job-b', 'job-d', 'job-c']);
+  });
+
+  test('filters by status, dimension and seed', () => {
+    expect(select({ status: 'ready' })).toEqual(['job-d', 'job-a']);
+    expect(select({ dimension: 'nether' })).toEqual(['job-d', 'job-b']);
+    expect(select({ status: 'ready', dimension: 'nether' })).toEqual(['job-d']);
+    expect(select({ seed: 'hello' })).toEqual(['job-c']);
+  });
+
+  test('filters by creation date, inclusive at both ends', () => {
+    expect(select({ from: '2026-01-02T00:00:00Z' })).toEqual(['job-c', 'job-d', 'job-b']);
+    expect(select({ to: '2026-01-02T00:00:00Z' })).toEqual(['job-b', 'job-a']);
+  });
+
+  test('only lists the requesting key\'s jobs when given one', () => {
+    expect(select({}, 'alice')).toEqual(['job-c', 'job-a']);
+  });
+
+  test('paginates after filtering and reports the total', () => {
+    expect(selectJobs(jobs, options({ limit: '3' }))).toEqual({ jobs: [jobs[2], jobs[3], jobs[1]], total: 4 });
+    expect(selectJobs(jobs, options({ limit: '3', page: '2' }))).toEqual({ jobs: [jobs[0]], total: 4 });
+    expect(selectJobs(jobs, options({ limit: '3', page: '3' }))).toEqual({ jobs: [], total: 4 });
+    expect(selectJobs(jobs, options({ status: 'ready', limit: '1', page: '2' }))).toEqual({ jobs: [jobs[0]], total: 2 });
+  });
+});
@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJsonlLog } from '../src/jsonlLog.js';
+import { setLogWriter } from '../src/utils.js';
+
+// Same record shapes as the job store: full snapshots, changed fields and deletions
+const applyRecord = (entries, record) => {
+  if (record.op === 'put') {
+    entries.set(record.id, record.value);
+  } else if (record.op === 'patch') {
+    if (entries.has(record.id)) {
+      entries.set(record.id, { ...entries.get(record.id), ...record.changes });
+    }
+  } else if (record.op === 'delete') {
+    entries.delete(record.id);
+  }
+};
+const snapshotRecord = (id, value) => ({ op: 'put', id, value });
+
+let directory;
+let logged;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'jsonl-log-'));
+  logged = [];
+  setLogWriter(entry => logged.push(entry));
+});
+
+afterEach(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+/**
+ * Create a log in the test directory
+ * @param {Object} options - Extra log options
+ * @returns {Object} Log
+ */
+function createLog(options = {}) {
+  return createJsonlLog({ file: path.join(directory, 'entries.jsonl'), name: 'entry', applyRecord, snapshotRecord, ...options });
+}
+
+/**
+ * Read the records in the log file
+ * @param {Object} log - Log from createLog
+ * @returns {Promise<Array<Object>>} Parsed records
+ */
+async function readRecords(log) {
+  const contents = await fs.readFile(log.file, 'utf8');
+  return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('createJsonlLog', () => {
+  test('loads an empty map when the file does not exist yet', async () => {
+    const log = createJsonlLog({ file: path.join(directory, 'nested', 'entries.jsonl'), name: 'entry', applyRecord, snapshotRecord });
+    await log.load();
+
+    expect(log.entries.size).toBe(0);
+    await log.append({ op: 'put', id: 'a', value: { n: 1 } });
+    expect(await readRecords(log)).toEqual([{ op: 'put', id: 'a', value: { n: 1 } }]);
+  });
+
+  test('replays puts, patches and deletes in order', async () => {
+    const log = createLog();
+    await log.load();
+    await log.append({ op: 'put', id: 'a', value: { status: 'queued', progress: 0 } });
+    await log.append({ op: 'put', id: 'b', value: { status: 'queued', progress: 0 } });
+    await log.append({ op: 'patch', id: 'a', changes: { status: 'ready', progress: 100 } });
+    await log.append({ op: 'delete', id: 'b' });
+    await log.append({ op: 'patch', id: 'b', changes: { status: 'ready' } });
+
+    const replayed = createLog();
+    await replayed.load();
+
+    expect(Object.fromEntries(replayed.entries)).toEqual({ a: { status: 'ready', progress: 100 } });
+  });
+
+  test('skips a truncated last line and keeps the rest', async () => {
+    const log = createLog();
+    await fs.writeFile(log.file, [
+      JSON.stringify({ op: 'put', id: 'a', value: { n: 1 } }),
+      JSON.stringify({ op: 'patch', id: 'a', changes: { n: 2 } }),
+      '{"op":"patch","id":"a","chan'
+    ].join('\n'));
+
+    await log.load();
+
+    expect(Object.fromEntries(log.entries)).toEqual({ a: { n: 2 } });
+    expect(logged).toEqual([expect.objectContaining({ level: 'warn', message: 'Skipping unreadable entry record', line: 3 })]);
+  });
+
+  test('compacts down to one snapshot per entry', async () => {
+    const log = createLog();
+    await log.load();
+    log.entries.set('a', { n: 3 });
+    await log.append({ op: 'put', id: 'a', value: { n: 1 } });
+    await log.append({ op: 'patch', id: 'a', changes: { n: 3 } });
+    await log.append({ op: 'put', id: 'b', value: { n: 0 } });
+    await log.append({ op: 'delete', id: 'b' });
+
+    await log.compact();
+
+    expect(await readRecords(log)).toEqual([{ op: 'put', id: 'a', value: { n: 3 } }]);
+    await expect(fs.access(`${log.file}.tmp`)).rejects.toThrow();
+  });
+
+  test('compacts on its own once the log reaches compactAfter records', async () => {
+    const log = createLog({ compactAfter: 5 });
+    await log.load();
+    log.entries.set('a', { n: 0 });
+
+    for (let n = 1; n <= 4; n++) {
+      log.entries.set('a', { n });
+      await log.append({ op: 'patch', id: 'a', changes: { n } });
+    }
+    expect(await readRecords(log)).toHaveLength(4);
+
+    log.entries.set('a', { n: 5 });
+    await log.append({ op: 'patch', id: 'a', changes: { n: 5 } });
+    expect(await readRecords(log)).toEqual([{ op: 'put', id: 'a', value: { n: 5 } }]);
+  });
+
+  test('waits until the log holds twice as many records as entries', async () => {
+    const log = createLog({ compactAfter: 2 });
+    await log.load();
+
+    for (const id of ['a', 'b', 'c']) {
+      log.entries.set(id, { id });
+      await log.append({ op: 'put', id, value: { id } });
+    }
+    expect(await readRecords(log)).toHaveLength(3);
+  });
+
+  test('keeps appends queued behind a compaction', async () => {
+    const log = createLog();
+    await log.load();
+    log.entries.set('a', { n: 1 });
+    await log.append({ op: 'put', id: 'a', value: { n: 1 } });
+
+    const compacted = log.compact();
+    log.entries.set('b', { n: 2 });
+    const appended = log.append({ op: 'put', id: 'b', value: { n: 2 } });
+    await Promise.all([compacted, appended]);
+
+    const replayed = createLog();
+    await replayed.load();
+    expect(Object.fromEntries(replayed.entries)).toEqual({ a: { n: 1 }, b: { n: 2 } });
+  });
+});
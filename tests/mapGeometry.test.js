@@ -0,0 +1,143 @@
+import {
+  VIEWPORT,
+  MAX_OUTPUT_DIMENSION,
+  getPixelsPerBlock,
+  calculateCrop,
+  isAreaCapturable,
+  getOutputDimensions,
+  isWithinOutputLimit,
+  getCropOrigin,
+  getCropBounds
+} from '../src/mapGeometry.js';
+import { planTiles } from '../src/tiles.js';
+import { resolveMapArea } from '../src/utils.js';
+
+const centerPixel = { x: VIEWPORT.width / 2, y: VIEWPORT.height / 2 };
+
+describe('getPixelsPerBlock', () => {
+  test('doubles with each zoom level', () => {
+    expect(getPixelsPerBlock(-3)).toBe(1 / 8);
+    expect(getPixelsPerBlock(-1)).toBe(1 / 2);
+    expect(getPixelsPerBlock(0)).toBe(1);
+  });
+});
+
+describe('calculateCrop', () => {
+  test('centers the area on the center pixel', () => {
+    const area = resolveMapArea({ size: 8 });
+    expect(calculateCrop(area, -3, centerPixel)).toEqual({ left: 1420, top: 580, width: 1000, height: 1000 });
+  });
+
+  test('follows the provider center pixel', () => {
+    const area = resolveMapArea({ size: 8 });
+    expect(calculateCrop(area, -3, { x: 1000, y: 900 })).toEqual({ left: 500, top: 400, width: 1000, height: 1000 });
+  });
+
+  test('offsets bounding boxes whose center was rounded', () => {
+    const area = resolveMapArea({ bounds: { minX: -5, minZ: -5, maxX: 6, maxZ: 6 } });
+    expect(calculateCrop(area, 0, centerPixel)).toEqual({ left: 1914, top: 1074, width: 11, height: 11 });
+  });
+});
+
+describe('isAreaCapturable', () => {
+  test('accepts areas that fit in the viewport', () => {
+    expect(isAreaCapturable(resolveMapArea({ size: 16 }), -3, centerPixel)).toBe(true);
+  });
+
+  test('rejects areas wider or taller than the viewport', () => {
+    expect(isAreaCapturable(resolveMapArea({ size: 32 }), -3, centerPixel)).toBe(false);
+    expect(isAreaCapturable(resolveMapArea({ size: 8 }), -1, centerPixel)).toBe(false);
+  });
+
+  test('rejects areas the center pixel pushes off screen', () => {
+    expect(isAreaCapturable(resolveMapArea({ size: 16 }), -3, { x: 500, y: 1080 })).toBe(false);
+  });
+
+  test('rejects empty areas', () => {
+    const area = resolveMapArea({ bounds: { minX: 0, minZ: 0, maxX: 0, maxZ: 100 } });
+    expect(isAreaCapturable(area, -3, centerPixel)).toBe(false);
+  });
+});
+
+describe('getOutputDimensions', () => {
+  test('scales the area by the zoom level', () => {
+    expect(getOutputDimensions(resolveMapArea({ size: 8 }), -3)).toEqual({ width: 1000, height: 1000 });
+    expect(getOutputDimensions(resolveMapArea({ size: 8 }), 0)).toEqual({ width: 8000, height: 8000 });
+  });
+
+  test('handles rectangular bounding boxes', () => {
+    const area = resolveMapArea({ bounds: { minX: -800, minZ: 0, maxX: 800, maxZ: 400 } });
+    expect(getOutputDimensions(area, -1)).toEqual({ width: 800, height: 200 });
+  });
+});
+
+describe('isWithinOutputLimit', () => {
+  test('allows the largest size at the default zoom', () => {
+    expect(isWithinOutputLimit(resolveMapArea({ size: 64 }), -3)).toBe(true);
+  });
+
+  test('rejects outputs with a side over the limit', () => {
+    expect(isWithinOutputLimit(resolveMapArea({ size: 64 }), -2)).toBe(false);
+
+    const tall = resolveMapArea({ bounds: { minX: 0, minZ: 0, maxX: 100, maxZ: MAX_OUTPUT_DIMENSION + 1 } });
+    expect(isWithinOutputLimit(tall, 0)).toBe(false);
+  });
+});
+
+describe('getCropOrigin and getCropBounds', () => {
+  test('map the crop back to the requested area', () => {
+    const area = resolveMapArea({ size: 8, centerX: 100, centerZ: -200 });
+    const crop = calculateCrop(area, -3, centerPixel);
+
+    expect(getCropOrigin(area, crop, -3, centerPixel)).toEqual({ x: -3900, z: -4200 });
+    expect(getCropBounds(area, crop, -3, centerPixel)).toEqual({ west: -3900, east: 4100, north: -4200, south: 3800 });
+  });
+
+  test('describe the rounded pixels rather than the requested coordinates', () => {
+    const area = resolveMapArea({ bounds: { minX: -100, minZ: -100, maxX: 100, maxZ: 100 } });
+    const crop = calculateCrop(area, -3, centerPixel);
+    const bounds = getCropBounds(area, crop, -3, centerPixel);
+
+    expect(crop.width).toBe(25);
+    expect(bounds.east - bounds.west).toBe(crop.width * 8);
+    expect(bounds.south - bounds.north).toBe(crop.height * 8);
+  });
+});
+
+describe('planTiles', () => {
+  test('covers the output with tiles of at most 1600 pixels', () => {
+    const area = resolveMapArea({ size: 32 });
+    const tiles = planTiles(area, -3);
+
+    expect(tiles).toHaveLength(9);
+    expect(tiles.map(tile => [tile.left, tile.top, tile.width, tile.height])).toEqual([
+      [0, 0, 1600, 1600], [1600, 0, 1600, 1600], [3200, 0, 800, 1600],
+      [0, 1600, 1600, 1600], [1600, 1600, 1600, 1600], [3200, 1600, 800, 1600],
+      [0, 3200, 1600, 800], [1600, 3200, 1600, 800], [3200, 3200, 800, 800]
+    ]);
+    expect(tiles.map(tile => tile.index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test('gives each tile the world area under its pixels', () => {
+    const area = resolveMapArea({ size: 32 });
+    const [first, second] = planTiles(area, -3);
+
+    expect(first.area).toEqual({ minX: -16000, maxX: -3200, minZ: -16000, maxZ: -3200, centerX: -9600, centerZ: -9600 });
+    expect(second.area.minX).toBe(first.area.maxX);
+  });
+
+  test('produces tiles that each fit in one screenshot', () => {
+    const area = resolveMapArea({ size: 64 });
+    const tiles = planTiles(area, -3);
+
+    expect(tiles).toHaveLength(25);
+    tiles.forEach(tile => {
+      expect(isAreaCapturable(tile.area, -3, centerPixel)).toBe(true);
+      expect(getOutputDimensions(tile.area, -3)).toEqual({ width: tile.width, height: tile.height });
+    });
+  });
+
+  test('uses a single tile for areas smaller than a tile', () => {
+    expect(planTiles(resolveMapArea({ size: 8 }), -3)).toHaveLength(1);
+  });
+});
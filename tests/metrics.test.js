@@ -0,0 +1,127 @@
+import { createCounter, createHistogram, createGauge, renderMetrics } from '../src/metrics.js';
+
+// The registry is shared by the whole module, so every test registers its own metric names
+
+/**
+ * Get the rendered lines of one metric
+ * @param {string} name - Metric name
+ * @returns {Array<string>} HELP, TYPE and sample lines
+ */
+function renderedLines(name) {
+  const lines = renderMetrics().split('\n');
+  const start = lines.findIndex(line => line.startsWith(`# HELP ${name} `));
+  const end = lines.findIndex((line, index) => index > start && line.startsWith('# HELP '));
+  return lines.slice(start, end === -1 ? lines.length - 1 : end);
+}
+
+describe('renderMetrics', () => {
+  test('ends with a newline', () => {
+    createCounter('test_newline_total', 'Newline check');
+    expect(renderMetrics().endsWith('\n')).toBe(true);
+  });
+
+  test('renders metrics in registration order', () => {
+    createGauge('test_order_first', 'First', () => 1);
+    createGauge('test_order_second', 'Second', () => 2);
+    const text = renderMetrics();
+    expect(text.indexOf('test_order_first')).toBeLessThan(text.indexOf('test_order_second'));
+  });
+});
+
+describe('createCounter', () => {
+  test('renders HELP and TYPE without samples until incremented', () => {
+    createCounter('test_idle_total', 'Never incremented', ['status']);
+    expect(renderedLines('test_idle_total')).toEqual([
+      '# HELP test_idle_total Never incremented',
+      '# TYPE test_idle_total counter'
+    ]);
+  });
+
+  test('keeps a series per label set, in declaration order', () => {
+    const counter = createCounter('test_jobs_total', 'Jobs', ['status', 'dimension']);
+    counter.inc({ dimension: 'nether', status: 'ready' });
+    counter.inc({ status: 'ready', dimension: 'nether' }, 2);
+    counter.inc({ status: 'failed', dimension: 'end', ignored: 'x' });
+
+    expect(renderedLines('test_jobs_total')).toEqual([
+      '# HELP test_jobs_total Jobs',
+      '# TYPE test_jobs_total counter',
+      'test_jobs_total{status="ready",dimension="nether"} 3',
+      'test_jobs_total{status="failed",dimension="end"} 1'
+    ]);
+  });
+
+  test('renders missing labels as empty and counters without labels bare', () => {
+    const labelled = createCounter('test_missing_total', 'Missing label', ['code']);
+    const bare = createCounter('test_bare_total', 'No labels');
+    labelled.inc();
+    bare.inc();
+
+    expect(renderedLines('test_missing_total')).toContain('test_missing_total{code=""} 1');
+    expect(renderedLines('test_bare_total')).toContain('test_bare_total 1');
+  });
+
+  test('escapes backslashes, quotes and newlines in label values', () => {
+    const counter = createCounter('test_escape_total', 'Escaping', ['value']);
+    counter.inc({ value: 'a\\b"c\nd' });
+    expect(renderedLines('test_escape_total')).toContain('test_escape_total{value="a\\\\b\\"c\\nd"} 1');
+  });
+});
+
+describe('createHistogram', () => {
+  test('renders cumulative buckets, sum and count', () => {
+    const histogram = createHistogram('test_duration_seconds', 'Durations', ['step'], [1, 5]);
+    histogram.observe({ step: 'navigate' }, 0.5);
+    histogram.observe({ step: 'navigate' }, 3);
+    histogram.observe({ step: 'navigate' }, 10);
+
+    expect(renderedLines('test_duration_seconds')).toEqual([
+      '# HELP test_duration_seconds Durations',
+      '# TYPE test_duration_seconds histogram',
+      'test_duration_seconds_bucket{step="navigate",le="1"} 1',
+      'test_duration_seconds_bucket{step="navigate",le="5"} 2',
+      'test_duration_seconds_bucket{step="navigate",le="+Inf"} 3',
+      'test_duration_seconds_sum{step="navigate"} 13.5',
+      'test_duration_seconds_count{step="navigate"} 3'
+    ]);
+  });
+
+  test('counts a value equal to a bound in that bucket', () => {
+    const histogram = createHistogram('test_bound_seconds', 'Bounds', [], [1]);
+    histogram.observe({}, 1);
+    expect(renderedLines('test_bound_seconds')).toContain('test_bound_seconds_bucket{le="1"} 1');
+  });
+
+  test('uses the default duration buckets', () => {
+    const histogram = createHistogram('test_default_seconds', 'Defaults');
+    histogram.observe({}, 0.2);
+    const buckets = renderedLines('test_default_seconds').filter(line => line.includes('_bucket'));
+    expect(buckets).toHaveLength(13);
+    expect(buckets[0]).toBe('test_default_seconds_bucket{le="0.1"} 0');
+    expect(buckets[1]).toBe('test_default_seconds_bucket{le="0.25"} 1');
+  });
+});
+
+describe('createGauge', () => {
+  test('reads the value on every render', () => {
+    let depth = 2;
+    createGauge('test_queue_depth', 'Queue depth', () => depth);
+    expect(renderedLines('test_queue_depth')).toContain('test_queue_depth 2');
+
+    depth = 5;
+    expect(renderedLines('test_queue_depth')).toContain('test_queue_depth 5');
+  });
+
+  test('renders a sample per label set', () => {
+    createGauge('test_jobs', 'Jobs by status', () => [
+      { labels: { status: 'queued' }, value: 1 },
+      { labels: { status: 'processing' }, value: 0 }
+    ]);
+    expect(renderedLines('test_jobs')).toEqual([
+      '# HELP test_jobs Jobs by status',
+      '# TYPE test_jobs gauge',
+      'test_jobs{status="queued"} 1',
+      'test_jobs{status="processing"} 0'
+    ]);
+  });
+});
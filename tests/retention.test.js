@@ -0,0 +1,154 @@
+// The module reads its policy when it loads: a one-day TTL and a 1 MB budget
+process.env.IMAGE_TTL_HOURS = '24';
+process.env.MAX_STORAGE_MB = '1';
+
+const { groupStoredFiles, selectGroupsToRemove } = await import('../src/retention.js');
+
+const HOUR = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const now = Date.parse('2026-01-10T12:00:00Z');
+
+/**
+ * Build a stored file as listImages reports it
+ * @param {string} filename - File name
+ * @param {number} ageHours - Hours since it was written
+ * @param {number} size - Size in bytes
+ * @returns {Object} Image
+ */
+function image(filename, ageHours, size = 1000) {
+  return { filename, size, modified: new Date(now - ageHours * HOUR).toISOString() };
+}
+
+/**
+ * Build a group as groupStoredFiles returns it
+ * @param {string} name - File and group name
+ * @param {Object} fields - Age and access times in hours ago, and size
+ * @returns {Object} Group
+ */
+function group(name, { ageHours, accessedHoursAgo = ageHours, bytes = 1000 }) {
+  return {
+    files: [name],
+    jobIds: [],
+    bytes,
+    modified: now - ageHours * HOUR,
+    lastAccessedAt: now - accessedHoursAgo * HOUR
+  };
+}
+
+describe('groupStoredFiles', () => {
+  test('groups every file of a ready job, including outputs, thumbnail and original', () => {
+    const images = [image('a.png', 2), image('a.webp', 2, 500), image('a-thumb.webp', 2, 100), image('a-original.png', 3, 4000)];
+    const jobs = [{
+      jobId: 'job-a',
+      status: 'ready',
+      filename: 'a.png',
+      outputs: [{ filename: 'a.png' }, { filename: 'a.webp' }],
+      thumbnail: { filename: 'a-thumb.webp' },
+      originalFilename: 'a-original.png',
+      completedAt: new Date(now - 2 * HOUR).toISOString()
+    }];
+
+    expect(groupStoredFiles(images, jobs)).toEqual([{
+      files: ['a.png', 'a.webp', 'a-thumb.webp', 'a-original.png'],
+      jobIds: ['job-a'],
+      bytes: 5600,
+      modified: now - 2 * HOUR,
+      lastAccessedAt: now - 2 * HOUR
+    }]);
+  });
+
+  test('shares one group between jobs reusing the same files, accessed when either was', () => {
+    const jobs = [
+      { jobId: 'job-1', status: 'ready', filename: 'shared.png', lastAccessedAt: new Date(now - 10 * HOUR).toISOString() },
+      { jobId: 'job-2', status: 'ready', filename: 'shared.png', lastAccessedAt: new Date(now - 1 * HOUR).toISOString() }
+    ];
+
+    const [shared] = groupStoredFiles([image('shared.png', 20)], jobs);
+    expect(shared.jobIds).toEqual(['job-1', 'job-2']);
+    expect(shared.lastAccessedAt).toBe(now - 1 * HOUR);
+  });
+
+  test('treats files nobody asked for since they were written as accessed then', () => {
+    const jobs = [{ jobId: 'job-a', status: 'ready', filename: 'a.png', completedAt: new Date(now - 30 * HOUR).toISOString() }];
+    expect(groupStoredFiles([image('a.png', 5)], jobs)[0].lastAccessedAt).toBe(now - 5 * HOUR);
+  });
+
+  test('keeps files without a ready job as groups of their own', () => {
+    const jobs = [{ jobId: 'job-f', status: 'failed', filename: 'f.png' }];
+    expect(groupStoredFiles([image('orphan.png', 1), image('f.png', 1)], jobs)).toEqual([
+      { files: ['orphan.png'], jobIds: [], bytes: 1000, modified: now - HOUR, lastAccessedAt: now - HOUR },
+      { files: ['f.png'], jobIds: [], bytes: 1000, modified: now - HOUR, lastAccessedAt: now - HOUR }
+    ]);
+  });
+
+  test('skips files a queued or running refresh of the same request may overwrite', () => {
+    const jobs = [
+      { jobId: 'old', status: 'ready', filename: 'a.png', cacheKey: 'key-a' },
+      { jobId: 'refresh', status: 'processing', cacheKey: 'key-a' },
+      { jobId: 'other', status: 'ready', filename: 'b.png', cacheKey: 'key-b' }
+    ];
+    const groups = groupStoredFiles([image('a.png', 100), image('b.png', 100)], jobs);
+    expect(groups.map(entry => entry.files)).toEqual([['b.png']]);
+  });
+
+  test('ignores job files that are no longer stored', () => {
+    const jobs = [{ jobId: 'job-a', status: 'ready', filename: 'gone.png', outputs: [{ filename: 'gone.webp' }] }];
+    expect(groupStoredFiles([], jobs)).toEqual([]);
+  });
+});
+
+describe('selectGroupsToRemove', () => {
+  test('removes groups written more than IMAGE_TTL_HOURS ago, however recently accessed', () => {
+    const groups = [
+      group('old', { ageHours: 25, accessedHoursAgo: 0 }),
+      group('at-limit', { ageHours: 24 }),
+      group('new', { ageHours: 1 })
+    ];
+
+    expect(selectGroupsToRemove(groups, now)).toEqual([{ ...groups[0], reason: 'ttl' }]);
+  });
+
+  test('keeps everything while storage is under MAX_STORAGE_MB', () => {
+    const groups = [group('a', { ageHours: 1, bytes: 0.5 * MB }), group('b', { ageHours: 2, bytes: 0.5 * MB })];
+    expect(selectGroupsToRemove(groups, now)).toEqual([]);
+  });
+
+  test('evicts the least recently accessed first, not the oldest', () => {
+    const groups = [
+      group('old-but-popular', { ageHours: 20, accessedHoursAgo: 1, bytes: 0.6 * MB }),
+      group('new-but-idle', { ageHours: 10, accessedHoursAgo: 9, bytes: 0.6 * MB })
+    ];
+
+    expect(selectGroupsToRemove(groups, now).map(entry => [entry.files[0], entry.reason])).toEqual([
+      ['new-but-idle', 'disk']
+    ]);
+  });
+
+  test('stops evicting as soon as storage fits the budget', () => {
+    const groups = [
+      group('c', { ageHours: 3, accessedHoursAgo: 3, bytes: 0.4 * MB }),
+      group('a', { ageHours: 5, accessedHoursAgo: 5, bytes: 0.4 * MB }),
+      group('d', { ageHours: 1, accessedHoursAgo: 1, bytes: 0.4 * MB }),
+      group('b', { ageHours: 4, accessedHoursAgo: 4, bytes: 0.4 * MB })
+    ];
+
+    // 1.6 MB stored: dropping a (1.2 MB) is not enough, dropping b too (0.8 MB) is
+    expect(selectGroupsToRemove(groups, now).map(entry => entry.files[0])).toEqual(['a', 'b']);
+  });
+
+  test('only counts groups that survive the TTL against the budget', () => {
+    const groups = [
+      group('expired', { ageHours: 48, bytes: 2 * MB }),
+      group('fresh', { ageHours: 1, bytes: 0.5 * MB })
+    ];
+
+    expect(selectGroupsToRemove(groups, now).map(entry => [entry.files[0], entry.reason])).toEqual([
+      ['expired', 'ttl']
+    ]);
+  });
+
+  test('evicts a single group larger than the whole budget', () => {
+    const groups = [group('huge', { ageHours: 1, bytes: 3 * MB })];
+    expect(selectGroupsToRemove(groups, now)).toEqual([{ ...groups[0], reason: 'disk' }]);
+  });
+});
@@ -0,0 +1,79 @@
+import { javaStringHashCode, getSeedError, normalizeSeed } from '../src/seed.js';
+
+describe('javaStringHashCode', () => {
+  test('matches Java String.hashCode', () => {
+    expect(javaStringHashCode('')).toBe(0);
+    expect(javaStringHashCode('a')).toBe(97);
+    expect(javaStringHashCode('hello')).toBe(99162322);
+  });
+
+  test('wraps around like a 32-bit int', () => {
+    expect(javaStringHashCode('polygenelubricants')).toBe(-2147483648);
+  });
+
+  test('hashes UTF-16 code units, so astral characters count twice', () => {
+    const [high, low] = ['\ud83c', '\udf32'];
+    expect(javaStringHashCode('🌲')).toBe(31 * high.charCodeAt(0) + low.charCodeAt(0));
+  });
+});
+
+describe('getSeedError', () => {
+  test('accepts text and numeric seeds', () => {
+    expect(getSeedError('glacier')).toBeNull();
+    expect(getSeedError('-4172144997902289642')).toBeNull();
+    expect(getSeedError(12345)).toBeNull();
+  });
+
+  test('accepts the full range of a Java long', () => {
+    expect(getSeedError('9223372036854775807')).toBeNull();
+    expect(getSeedError('-9223372036854775808')).toBeNull();
+  });
+
+  test('rejects numeric seeds outside a Java long', () => {
+    expect(getSeedError('9223372036854775808')).toMatch(/between/);
+    expect(getSeedError('-9223372036854775809')).toMatch(/between/);
+  });
+
+  test('rejects numbers that have lost precision', () => {
+    expect(getSeedError(2 ** 53)).toMatch(/safe integers/);
+    expect(getSeedError(1.5)).toMatch(/safe integers/);
+  });
+
+  test('rejects missing, blank and non-string seeds', () => {
+    expect(getSeedError(undefined)).toMatch(/required/);
+    expect(getSeedError('   ')).toMatch(/required/);
+    expect(getSeedError({ seed: 1 })).toMatch(/required/);
+  });
+
+  test('rejects seeds the game would not accept', () => {
+    expect(getSeedError('x'.repeat(33))).toMatch(/at most 32/);
+    expect(getSeedError('x'.repeat(32))).toBeNull();
+    expect(getSeedError('bad\nseed')).toMatch(/control characters/);
+  });
+});
+
+describe('normalizeSeed', () => {
+  test('keeps all 64 bits of numeric seeds', () => {
+    expect(normalizeSeed('-4172144997902289642')).toEqual({
+      seed: '-4172144997902289642',
+      input: '-4172144997902289642',
+      type: 'numeric'
+    });
+  });
+
+  test('drops signs, leading zeros and whitespace from numeric seeds', () => {
+    expect(normalizeSeed(' +007 ').seed).toBe('7');
+    expect(normalizeSeed('-0').seed).toBe('0');
+    expect(normalizeSeed(42)).toEqual({ seed: '42', input: 42, type: 'numeric' });
+  });
+
+  test('hashes text seeds', () => {
+    expect(normalizeSeed('hello')).toEqual({ seed: '99162322', input: 'hello', type: 'text' });
+    expect(normalizeSeed('  hello  ').seed).toBe('99162322');
+  });
+
+  test('hashes decimals and other number-like text', () => {
+    expect(normalizeSeed('1.5').type).toBe('text');
+    expect(normalizeSeed('1e5').type).toBe('text');
+  });
+});
@@ -0,0 +1,123 @@
+// The module reads its configuration when it loads
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_ALLOWED_HOSTS = 'receiver.internal, 10.1.2.3';
+
+const { isBlockedAddress, isValidCallbackUrl, checkCallbackHost, signPayload } = await import('../src/webhooks.js');
+
+describe('isBlockedAddress', () => {
+  test.each([
+    ['0.0.0.0', 'unspecified'],
+    ['10.20.30.40', 'private'],
+    ['100.64.0.1', 'shared (CGNAT)'],
+    ['127.0.0.1', 'loopback'],
+    ['127.255.255.254', 'loopback'],
+    ['169.254.169.254', 'link-local cloud metadata'],
+    ['172.16.0.1', 'private'],
+    ['172.31.255.255', 'private'],
+    ['192.0.0.8', 'IETF protocol assignments'],
+    ['192.168.1.1', 'private'],
+    ['198.18.0.1', 'benchmarking'],
+    ['224.0.0.1', 'multicast'],
+    ['255.255.255.255', 'broadcast'],
+    ['::', 'unspecified'],
+    ['::1', 'loopback'],
+    ['::ffff:127.0.0.1', 'IPv4-mapped loopback'],
+    ['::ffff:169.254.169.254', 'IPv4-mapped link-local'],
+    ['::ffff:a9fe:a9fe', 'IPv4-mapped link-local in hex'],
+    ['64:ff9b::7f00:1', 'NAT64 of loopback'],
+    ['64:ff9b::a9fe:a9fe', 'NAT64 of link-local'],
+    ['2002:7f00:1::', '6to4 of loopback'],
+    ['2002:a9fe:a9fe::1', '6to4 of link-local'],
+    ['fc00::1', 'unique local'],
+    ['fd12:3456:789a::1', 'unique local'],
+    ['fe80::1', 'link-local'],
+    ['ff02::1', 'multicast']
+  ])('blocks %s (%s)', address => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each([
+    ['1.1.1.1'],
+    ['8.8.8.8'],
+    ['93.184.216.34'],
+    ['100.63.255.255'],
+    ['100.128.0.0'],
+    ['172.15.255.255'],
+    ['172.32.0.0'],
+    ['192.0.2.1'],
+    ['223.255.255.255'],
+    ['::ffff:8.8.8.8'],
+    ['2001:4860:4860::8888'],
+    ['2606:4700:4700::1111'],
+    ['2003::1']
+  ])('allows public address %s', address => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
+
+describe('isValidCallbackUrl', () => {
+  test('accepts absolute http and https URLs', () => {
+    expect(isValidCallbackUrl('https://example.com/hook')).toBe(true);
+    expect(isValidCallbackUrl('http://93.184.216.34:8080/hook')).toBe(true);
+  });
+
+  test.each([
+    [undefined],
+    [42],
+    ['/relative/hook'],
+    ['ftp://example.com/hook'],
+    ['file:///etc/passwd'],
+    ['javascript:alert(1)']
+  ])('rejects %p', url => {
+    expect(isValidCallbackUrl(url)).toBe(false);
+  });
+});
+
+describe('checkCallbackHost', () => {
+  test.each([
+    ['http://127.0.0.1/hook'],
+    ['http://169.254.169.254/latest/meta-data/'],
+    ['http://[::1]:3000/hook'],
+    ['http://[::ffff:127.0.0.1]/hook'],
+    ['http://[2002:7f00:1::]/hook'],
+    ['http://[64:ff9b::a9fe:a9fe]/hook'],
+    ['http://2130706433/hook'],
+    ['http://localhost:3001/hook']
+  ])('refuses %s without a retry', async url => {
+    expect(await checkCallbackHost(url)).toEqual({
+      message: 'callbackUrl must not point to a loopback, private or link-local address',
+      retryable: false
+    });
+  });
+
+  test('allows public addresses', async () => {
+    expect(await checkCallbackHost('https://93.184.216.34/hook')).toBeNull();
+    expect(await checkCallbackHost('https://[2606:4700:4700::1111]/hook')).toBeNull();
+  });
+
+  test('allows hosts listed in WEBHOOK_ALLOWED_HOSTS, whatever they resolve to', async () => {
+    expect(await checkCallbackHost('http://RECEIVER.internal/hook')).toBeNull();
+    expect(await checkCallbackHost('http://10.1.2.3:8080/hook')).toBeNull();
+    expect(await checkCallbackHost('http://10.1.2.4:8080/hook')).not.toBeNull();
+  });
+
+  test('retries hosts that do not resolve', async () => {
+    expect(await checkCallbackHost('http://does-not-exist.invalid/hook')).toEqual({
+      message: 'callbackUrl host does-not-exist.invalid could not be resolved',
+      retryable: true
+    });
+  });
+});
+
+describe('signPayload', () => {
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'job.ready', jobId: 'seed-1-overworld' });
+    expect(signPayload(body, '1700000000')).toBe('ee45fb7d73adfe3df4065da0b499145a8af88eed2ff8ab3fc89fa0caeaec4b90');
+  });
+
+  test('changes with the timestamp and the body', () => {
+    const signature = signPayload('{}', '1700000000');
+    expect(signPayload('{}', '1700000001')).not.toBe(signature);
+    expect(signPayload('{ }', '1700000000')).not.toBe(signature);
+  });
+});